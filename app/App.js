@@ -1,4 +1,4 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import {
   StyleSheet,
   View,
@@ -11,16 +11,229 @@ import {
   StatusBar,
   Modal,
   FlatList,
+  Share,
+  Image,
+  Linking,
 } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createConnection } from './connection';
+import { startDiscovery } from './discovery';
+import { createLocalGame, applyLocalAction, getLocalGameState, localPlayerLimit, toUpload } from './localGame';
+import { getCommanderDamage, lifeAfterChange, playerColors } from '../shared/gameRules';
 
-// CHANGE THIS TO YOUR SERVER IP!
-// Find your IP using: ifconfig | grep "inet " | grep -v 127.0.0.1
-// Example: const WS_URL = 'ws://192.168.1.100:3000';
-const WS_URL = 'ws://YOUR_IP_HERE:3000';
+// Where the chosen server address is kept on the device
+const SERVER_STORAGE_KEY = 'bigtable.server';
+
+// Port assumed when an address is typed without one
+const DEFAULT_SERVER_PORT = 3000;
+
+// Where the resume token for the current game is kept on the device
+const SESSION_STORAGE_KEY = 'bigtable.session';
+
+// Where a local (single-device) game is kept between app launches
+const LOCAL_GAME_STORAGE_KEY = 'bigtable.localGame';
+
+// Where this device's player profiles are kept: { serverUrl: { id, token, name, color } }
+// (each server keeps its own profiles and results)
+const PROFILES_STORAGE_KEY = 'bigtable.profiles';
+
+// Where the chosen game screen layout ('phone' or 'tabletop') is kept on the device
+const LAYOUT_STORAGE_KEY = 'bigtable.layout';
+
+// App-level heartbeat: PING the server this often, and call the connection
+// degraded if nothing at all has come back for DEGRADED_AFTER_MS
+const PING_INTERVAL_MS = 5000;
+const DEGRADED_AFTER_MS = 8000;
+
+// Dot colors for each player's presence (from the server's heartbeats)
+const PRESENCE_COLORS = {
+  online: '#2ECC71',
+  away: '#FECA57',
+  disconnected: '#888',
+};
+
+// Ranges the server accepts for the +/- room settings (see SETTINGS_FIELDS in backend/messageSchema.js)
+const SETTING_RANGES = {
+  startingLife: { min: 1, max: 999 },
+  commanderDamageLethal: { min: 1, max: 99 },
+};
+
+// A setting value moved into its allowed range
+const clampSetting = (setting, value) =>
+  Math.min(SETTING_RANGES[setting].max, Math.max(SETTING_RANGES[setting].min, value));
+
+// How long to collect life taps before sending them as one change
+// (seven quick taps become one "-7" instead of seven "-1" log lines)
+const LIFE_DEBOUNCE_MS = 600;
+
+// How each elimination cause is shown on the result screen
+const ELIMINATION_LABELS = {
+  life: 'life total',
+  commander: 'commander damage',
+  poison: 'poison',
+};
+
+// Friendlier alert titles for typed server errors
+const ERROR_TITLES = {
+  NOT_AUTHORIZED: 'Not Allowed',
+  ROOM_NOT_FOUND: 'Room Not Found',
+  ROOM_FULL: 'Room Full',
+  ALREADY_IN_ROOM: 'Already In A Game',
+  PROFILE_NOT_FOUND: 'Profile Not Found',
+  PROFILE_IN_USE: 'Profile In Use',
+};
+
+// How many tabletop panels go on each edge of the screen, by number of seats
+// (a shared tablet in the middle of the table only has room for 2-6)
+const TABLETOP_LAYOUTS = {
+  2: { bottom: 1, left: 0, top: 1, right: 0 },
+  3: { bottom: 1, left: 0, top: 2, right: 0 },
+  4: { bottom: 1, left: 1, top: 1, right: 1 },
+  5: { bottom: 2, left: 1, top: 1, right: 1 },
+  6: { bottom: 2, left: 1, top: 2, right: 1 },
+};
+
+// Game formats the server knows about (settings live on the server)
+const GAME_FORMATS = [
+  { id: 'commander', label: 'Commander' },
+  { id: 'brawl', label: 'Brawl' },
+  { id: 'standard', label: 'Standard' },
+];
+
+// Sections of the stats screen
+const STATS_TABS = [
+  { id: 'leaderboard', label: 'Leaderboard' },
+  { id: 'headToHead', label: 'Head to Head' },
+  { id: 'recent', label: 'Recent' },
+];
+
+// Turn whatever was typed ("192.168.1.100", "http://host:3000/"...) into a
+// WebSocket URL, or null if it doesn't look like an address
+const normalizeServerUrl = (text) => {
+  const url = text.trim().replace(/\/+$/, '').replace(/^http(s?):\/\//i, 'ws$1://');
+  const match = url.match(/^(?:(wss?):\/\/)?([^\/:\s]+)(?::(\d+))?$/i);
+  if (!match) return null;
+  const scheme = (match[1] || 'ws').toLowerCase();
+  // wss without a port is most likely behind a proxy on 443
+  const port = match[3] || (scheme === 'ws' ? DEFAULT_SERVER_PORT : null);
+  return `${scheme}://${match[2]}${port ? `:${port}` : ''}`;
+};
+
+// Server address without the ws:// for showing on screen
+const displayServer = (url) => url.replace(/^ws:\/\//, '');
+
+// Call the server's HTTP API (see README) and read the JSON it sends back
+// Rejects with the server's error message if the request was turned down
+const requestJson = (serverUrl, path, options = {}) =>
+  fetch(`${serverUrl.replace(/^ws/, 'http')}${path}`, options)
+    .then(response => response.json().then(body => {
+      if (!response.ok) throw new Error(body.error ? body.error.message : 'The server turned the request down');
+      return body;
+    }));
+
+// Link that opens the app and joins a room: bigtable://join/CODE?server=HOST:PORT
+// &seat=TOKEN claims an open seat of a game moved from one phone to the server
+// (the server's /rooms/:roomCode/qr image holds the same link)
+const buildJoinLink = (roomCode, serverUrl, seat = null) =>
+  `bigtable://join/${roomCode}?server=${encodeURIComponent(displayServer(serverUrl))}${seat ? `&seat=${seat}` : ''}`;
+
+// Read a join link back into { roomCode, server, seat }, or null if it isn't one
+// server is a WebSocket URL, or null if the link didn't say; seat is null for a new seat
+const parseJoinLink = (url) => {
+  const match = url.match(/^bigtable:\/\/join\/([A-Za-z0-9]{6})\/?(?:\?(.*))?$/);
+  if (!match) return null;
+  const params = {};
+  (match[2] || '').split('&').forEach(param => {
+    const [key, value = ''] = param.split('=');
+    params[key] = decodeURIComponent(value);
+  });
+  return {
+    roomCode: match[1].toUpperCase(),
+    server: params.server ? normalizeServerUrl(params.server) : null,
+    seat: /^[a-f0-9]{32}$/.test(params.seat || '') ? params.seat : null,
+  };
+};
+
+// Copy-on-write update of one value deep inside the game state
+// Only the objects along the path are copied, so React sees what changed
+const updateIn = (node, path, update) => {
+  if (path.length === 0) return update(node);
+  const [key, ...rest] = path;
+  const copy = Array.isArray(node) ? node.slice() : { ...node };
+  copy[key] = updateIn(node[key], rest, update);
+  return copy;
+};
+
+// Apply a STATE_PATCH's ops to our game state (format in backend/statePatch.js)
+const applyPatch = (state, ops) => ops.reduce((current, op) => {
+  switch (op.op) {
+    case 'set':
+      return updateIn(current, op.path, () => op.value);
+    case 'remove':
+      return updateIn(current, op.path.slice(0, -1), parent => {
+        const copy = { ...parent };
+        delete copy[op.path[op.path.length - 1]];
+        return copy;
+      });
+    case 'append':
+      return updateIn(current, op.path, list => list.concat(op.values));
+    case 'truncate':
+      return updateIn(current, op.path, list => list.slice(0, op.length));
+    default:
+      console.warn('Unknown patch op:', op.op);
+      return current;
+  }
+}, state);
+
+// Split players (in turn order) between the edges of a shared tablet
+// Seats go clockwise from the bottom edge, so turns go around the table;
+// each panel is rotated to face whoever sits at that edge
+const arrangeTabletop = (players) => {
+  const layout = TABLETOP_LAYOUTS[players.length];
+  let next = 0;
+  const take = (count, rotation) => players
+    .slice(next, next += count)
+    .map(player => ({ player, rotation }));
+
+  // Rows and columns are drawn left to right and top to bottom,
+  // so the bottom row and the left column run against the clockwise order
+  const bottom = take(layout.bottom, 0).reverse();
+  const left = take(layout.left, 90).reverse();
+  const top = take(layout.top, 180);
+  const right = take(layout.right, 270);
+  return { bottom, left, top, right };
+};
+
+// A panel whose contents are turned by `rotation` degrees (0, 90, 180 or 270)
+// Sideways contents are laid out with the panel's width and height swapped,
+// so they fill the panel once turned
+const RotatedView = ({ rotation, style, children }) => {
+  const [size, setSize] = useState(null);
+  const sideways = rotation % 180 !== 0;
+
+  return (
+    <View style={style} onLayout={event => setSize(event.nativeEvent.layout)}>
+      {size && (
+        <View style={[
+          styles.rotatedContent,
+          {
+            width: sideways ? size.height : size.width,
+            height: sideways ? size.width : size.height,
+            left: sideways ? (size.width - size.height) / 2 : 0,
+            top: sideways ? (size.height - size.width) / 2 : 0,
+            transform: [{ rotate: `${rotation}deg` }],
+          }
+        ]}>
+          {children}
+        </View>
+      )}
+    </View>
+  );
+};
 
 export default function App() {
   // State variables to manage the app
-  const [connected, setConnected] = useState(false); // WebSocket connection status
+  const [connectionStatus, setConnectionStatus] = useState('idle'); // See connection.js
   const [roomCode, setRoomCode] = useState(''); // Current room code
   const [inputRoomCode, setInputRoomCode] = useState(''); // User input for joining room
   const [gameState, setGameState] = useState(null); // Complete game state from server
@@ -28,84 +241,590 @@ export default function App() {
   const [showLog, setShowLog] = useState(false); // Show/hide game log modal
   const [showCommanderDamage, setShowCommanderDamage] = useState(false); // Show/hide commander damage modal
   const [selectedPlayerId, setSelectedPlayerId] = useState(null); // ID of player selected for commander damage
+  const [reconnecting, setReconnecting] = useState(false); // True while trying to get our seat back
+  const [selectedFormat, setSelectedFormat] = useState('commander'); // Format for new games
+  const [showResult, setShowResult] = useState(false); // Show/hide game over screen
+  const [showSettings, setShowSettings] = useState(false); // Show/hide host settings modal
+  const [isSpectator, setIsSpectator] = useState(false); // Watching a room without a seat
+  const [readToken, setReadToken] = useState(''); // Room's HTTP API token (players only)
+  const [pendingLife, setPendingLife] = useState({}); // { playerId: delta } tapped but not sent yet
+  const [connectionDegraded, setConnectionDegraded] = useState(false); // Server has gone quiet
+  const [serverUrl, setServerUrl] = useState(''); // Chosen server ('' until one is set)
+  const [serverInput, setServerInput] = useState(''); // Address being typed in server settings
+  const [showServerSettings, setShowServerSettings] = useState(false); // Show/hide server settings modal
+  const [discoveredServers, setDiscoveredServers] = useState([]); // Servers found on the LAN
+  const [discoveryAvailable, setDiscoveryAvailable] = useState(true); // False without the UDP module
+  const [showInvite, setShowInvite] = useState(false); // Show/hide QR code and join link modal
+  const [isLocal, setIsLocal] = useState(false); // Playing a local game on this device only
+  const [localPlayerCount, setLocalPlayerCount] = useState(4); // Players for a new local game
+  const [openSeats, setOpenSeats] = useState([]); // { playerId, name, resumeToken } after moving a local game to a server
+  const [inviteSeat, setInviteSeat] = useState(null); // Open seat the invite QR is for (null for a new seat)
+  const [layout, setLayout] = useState('phone'); // Game screen layout - 'phone' or 'tabletop' (one shared tablet)
+  const [damageRotation, setDamageRotation] = useState(0); // Rotation of the tabletop panel that opened commander damage
+  const [savedProfiles, setSavedProfiles] = useState({}); // Our profile on each server (see PROFILES_STORAGE_KEY)
+  const [showStats, setShowStats] = useState(false); // Show/hide leaderboard and profile modal
+  const [statsTab, setStatsTab] = useState('leaderboard'); // 'leaderboard', 'headToHead' or 'recent'
+  const [stats, setStats] = useState(null); // { leaderboard, headToHead, games } from the server
+
+  // Server connection from createConnection (see getConnection)
+  const connection = useRef(null);
 
-  // useRef to persist WebSocket connection across re-renders
-  const ws = useRef(null);
+  // Same as serverUrl, for code that runs outside a render (the launch effect)
+  const server = useRef('');
 
-  // Function to establish WebSocket connection to the backend server
-  const connectToServer = () => {
-    // Create new WebSocket connection
-    ws.current = new WebSocket(WS_URL);
+  // Full local game from localGame.js, history included (null unless isLocal)
+  const localGame = useRef(null);
 
-    // When connection opens successfully
-    ws.current.onopen = () => {
-      console.log('Connected to server');
-      setConnected(true);
+  // Saved { roomCode, resumeToken } for the game we are in (null when not in a game)
+  const session = useRef(null);
+
+  // { roomCode, readToken } of the room we're watching as a spectator (null when not spectating)
+  // readToken is only set for rooms with "Require Read Token" on
+  const spectatingRoom = useRef(null);
+
+  // Version of the game state we hold (null until the server sends a full state)
+  const stateVersion = useRef(null);
+
+  // Life taps waiting to be sent: { playerId: { delta, timer } }
+  const pendingLifeChanges = useRef({});
+
+  // When we last heard anything from the server
+  const lastHeard = useRef(0);
+
+  // Same as savedProfiles, for message handlers (they keep the first render's state)
+  const profiles = useRef({});
+
+  // Remember the session so we can RESUME after a dropped connection or app restart
+  const saveSession = (newSession) => {
+    session.current = newSession;
+    AsyncStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(newSession))
+      .catch(error => console.error('Could not save session:', error));
+  };
+
+  // Forget the session once the seat is gone
+  const clearSession = () => {
+    session.current = null;
+    AsyncStorage.removeItem(SESSION_STORAGE_KEY)
+      .catch(error => console.error('Could not clear session:', error));
+  };
+
+  // Switch to another server (only from the menu - any open connection is dropped)
+  const changeServer = (url) => {
+    if (url === server.current) return;
+    if (connection.current) {
+      connection.current.close();
+      connection.current = null;
+    }
+    server.current = url;
+    setServerUrl(url);
+    AsyncStorage.setItem(SERVER_STORAGE_KEY, url)
+      .catch(error => console.error('Could not save server:', error));
+  };
+
+  // Save the address typed into server settings
+  const saveServerInput = () => {
+    const url = normalizeServerUrl(serverInput);
+    if (!url) {
+      Alert.alert('Invalid Address', 'Enter the address the server prints when it starts, e.g. 192.168.1.100:3000');
+      return;
+    }
+    changeServer(url);
+    setShowServerSettings(false);
+  };
+
+  // Show the server picker (on the menu, or from a local game that's being hosted)
+  const openServerSettings = () => {
+    setServerInput(server.current ? displayServer(server.current) : '');
+    setShowServerSettings(true);
+  };
+
+  // On launch, load the saved server, then rejoin the game we were in if a session was saved
+  // (or pick up the local game that was on screen)
+  useEffect(() => {
+    // The layout is a preference of this device, not of the game
+    AsyncStorage.getItem(LAYOUT_STORAGE_KEY)
+      .then(savedLayout => {
+        if (savedLayout) setLayout(savedLayout);
+      })
+      .catch(error => console.error('Could not load layout:', error));
+
+    AsyncStorage.getItem(PROFILES_STORAGE_KEY)
+      .then(saved => {
+        if (!saved) return;
+        profiles.current = JSON.parse(saved);
+        setSavedProfiles(profiles.current);
+      })
+      .catch(error => console.error('Could not load profiles:', error));
+
+    AsyncStorage.getItem(SERVER_STORAGE_KEY)
+      .then(savedServer => {
+        if (!savedServer) return null;
+        server.current = savedServer;
+        setServerUrl(savedServer);
+        return AsyncStorage.getItem(SESSION_STORAGE_KEY);
+      })
+      .then(saved => {
+        if (saved) {
+          session.current = JSON.parse(saved);
+          setOpenSeats(session.current.openSeats || []);
+          setReconnecting(true);
+          getConnection().connect();
+          return null;
+        }
+        return AsyncStorage.getItem(LOCAL_GAME_STORAGE_KEY);
+      })
+      .then(savedLocalGame => {
+        if (savedLocalGame) showLocalGame(JSON.parse(savedLocalGame));
+      })
+      .catch(error => console.error('Could not load session:', error))
+      // A scanned QR code or shared link may have launched the app
+      .then(() => Linking.getInitialURL())
+      .then(url => {
+        if (url) openJoinLink(url);
+      });
+
+    // Links opened while the app is already running
+    const subscription = Linking.addEventListener('url', event => openJoinLink(event.url));
+    return () => subscription.remove();
+  }, []);
+
+  // Look for servers on the network while the menu (or a local game) is showing
+  const inGame = !!gameState && !isLocal;
+  useEffect(() => {
+    if (inGame) return;
+
+    const stopDiscovery = startDiscovery(setDiscoveredServers);
+    setDiscoveryAvailable(!!stopDiscovery);
+    return () => {
+      if (stopDiscovery) stopDiscovery();
+      setDiscoveredServers([]);
     };
+  }, [inGame]);
 
-    // Handle incoming messages from server
-    ws.current.onmessage = (event) => {
-      const data = JSON.parse(event.data);
-      console.log('Received:', data.type);
-
-      // Process different message types from server
-      switch (data.type) {
-        case 'ROOM_CREATED':
-          // Room was successfully created
-          setRoomCode(data.roomCode);
-          setMyPlayerId(data.playerId);
-          setGameState(data.gameState);
-          break;
+  // While connected, PING regularly and watch for the server going quiet
+  const connected = connectionStatus === 'open';
+  useEffect(() => {
+    if (!connected) return;
 
-        case 'ROOM_JOINED':
-          // Successfully joined an existing room
-          setMyPlayerId(data.playerId);
-          setGameState(data.gameState);
-          break;
+    lastHeard.current = Date.now();
+    const timer = setInterval(() => {
+      getConnection().sendIfOpen({ type: 'PING' });
+      setConnectionDegraded(Date.now() - lastHeard.current > DEGRADED_AFTER_MS);
+    }, PING_INTERVAL_MS);
+
+    return () => {
+      clearInterval(timer);
+      setConnectionDegraded(false);
+    };
+  }, [connected]);
+
+  // Socket just opened - a new connection starts from a full state again
+  const handleOpen = () => {
+    console.log('Connected to server');
+    stateVersion.current = null;
+
+    // Reclaim our seat if we were already in a game
+    if (session.current) {
+      send({
+        type: 'RESUME',
+        roomCode: session.current.roomCode,
+        resumeToken: session.current.resumeToken
+      });
+    } else if (spectatingRoom.current) {
+      // Spectators have no seat - just start watching again
+      sendWatch();
+    }
+  };
+
+  // Handle incoming messages from server
+  const handleMessage = (data) => {
+    console.log('Received:', data.type);
+
+    // Anything from the server means the connection is working
+    lastHeard.current = Date.now();
+    setConnectionDegraded(false);
 
-        case 'GAME_UPDATE':
-          // Game state has changed (life, names, etc.)
-          console.log('Game update received:', data.gameState);
-          setGameState(data.gameState);
+    // Process different message types from server
+    switch (data.type) {
+      case 'ROOM_CREATED':
+        // Room was successfully created
+        setRoomCode(data.roomCode);
+        setMyPlayerId(data.playerId);
+        stateVersion.current = data.version;
+        setGameState(data.gameState);
+        setReadToken(data.readToken);
+        saveSession({ roomCode: data.roomCode, resumeToken: data.resumeToken });
+        linkProfile(data.gameState, data.playerId);
+        break;
+
+      case 'ROOM_JOINED':
+        // Successfully joined an existing room
+        setMyPlayerId(data.playerId);
+        stateVersion.current = data.version;
+        setGameState(data.gameState);
+        setReadToken(data.readToken);
+        saveSession({ roomCode: data.roomCode, resumeToken: data.resumeToken });
+        linkProfile(data.gameState, data.playerId);
+        break;
+
+      case 'ROOM_RESUMED':
+        // Got our old seat back after a reconnect
+        setRoomCode(data.roomCode);
+        setMyPlayerId(data.playerId);
+        stateVersion.current = data.version;
+        setGameState(data.gameState);
+        setReadToken(data.readToken);
+        setReconnecting(false);
+        // Seats claimed from a hosted local game aren't linked yet
+        linkProfile(data.gameState, data.playerId);
+        break;
+
+      case 'RESUME_FAILED':
+        // Seat was given up while we were away - back to the menu
+        clearSession();
+        setReconnecting(false);
+        setGameState(null);
+        setRoomCode('');
+        Alert.alert('Game Ended', data.message);
+        break;
+
+      case 'SPECTATOR_JOINED':
+        // Watching a room - no player ID, no seat
+        setRoomCode(data.roomCode);
+        setMyPlayerId('');
+        setIsSpectator(true);
+        stateVersion.current = data.version;
+        setGameState(data.gameState);
+        setReconnecting(false);
+        break;
+
+      case 'ROOM_CLOSED':
+        // Everyone left the room we were watching
+        spectatingRoom.current = null;
+        setIsSpectator(false);
+        setGameState(null);
+        setRoomCode('');
+        Alert.alert('Game Ended', data.message);
+        break;
+
+      case 'STATE_PATCH':
+        // Game state has changed (life, names, etc.) - apply just the changes
+        if (stateVersion.current === null || data.version <= stateVersion.current) {
+          break;  // No full state yet, or an old/duplicate patch
+        }
+        if (data.version !== stateVersion.current + 1) {
+          // Missed a patch - ignore the rest until the full state arrives
+          console.log(`Missed state ${stateVersion.current + 1}, resyncing`);
+          stateVersion.current = null;
+          send({ type: 'REQUEST_SYNC' });
           break;
+        }
+        stateVersion.current = data.version;
+        setGameState(current => current && applyPatch(current, data.ops));
+        break;
+
+      case 'STATE_SYNC':
+        // Full state after a gap in patches
+        stateVersion.current = data.version;
+        setGameState(data.gameState);
+        break;
 
-        case 'ERROR':
-          // Server sent an error message
-          Alert.alert('Error', data.message);
+      case 'GAME_OVER':
+        // Only one player left - show the result screen
+        setShowResult(true);
+        break;
+
+      case 'KICKED':
+        // Host removed us - our seat is gone
+        clearSession();
+        setGameState(null);
+        setRoomCode('');
+        Alert.alert('Removed', data.message);
+        break;
+
+      case 'PONG':
+        // Heartbeat reply - already noted above
+        break;
+
+      case 'ERROR':
+        // Server sent an error message
+        if (data.code === 'NOT_AUTHORIZED' && data.field === 'readToken' && spectatingRoom.current) {
+          // The room needs its read token before we can watch
+          askReadToken(spectatingRoom.current.roomCode);
           break;
-      }
-    };
+        }
+        if (data.code === 'PROFILE_NOT_FOUND') {
+          // The server has lost our profile (e.g. it doesn't save them) - make a new one from Stats
+          forgetProfile(server.current);
+          Alert.alert(ERROR_TITLES[data.code], 'This server no longer knows your profile. Create it again from Stats.');
+          break;
+        }
+        Alert.alert(ERROR_TITLES[data.code] || 'Error', data.message);
+        break;
+    }
+  };
 
-    // Handle connection errors
-    ws.current.onerror = (error) => {
-      console.error('WebSocket error:', error);
-      Alert.alert('Connection Error', 'Could not connect to server');
-    };
+  // Remember our profiles (one per server) on the device
+  const saveProfiles = (updated) => {
+    profiles.current = updated;
+    setSavedProfiles(updated);
+    AsyncStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(updated))
+      .catch(error => console.error('Could not save profiles:', error));
+  };
+
+  const forgetProfile = (url) => {
+    const { [url]: forgotten, ...rest } = profiles.current;
+    saveProfiles(rest);
+  };
+
+  // Play our seat as our profile on this server (unless it already is), so the result counts
+  // Runs from message handlers, so it only reads refs
+  const linkProfile = (state, playerId) => {
+    const profile = profiles.current[server.current];
+    const player = state && state.players.find(p => p.id === playerId);
+    if (!profile || !player || player.profileId === profile.id) return;
+
+    send({ type: 'LINK_PROFILE', profileId: profile.id, profileToken: profile.token });
+  };
+
+  // Keep the game on screen while the connection retries, or go back to the menu
+  const handleStatusChange = (status) => {
+    console.log('Connection:', status);
+    setConnectionStatus(status);
+    if (status === 'open' || status === 'connecting') return;
 
-    // Handle connection closing
-    ws.current.onclose = () => {
-      console.log('Disconnected from server');
-      setConnected(false);
+    if (session.current || spectatingRoom.current) {
+      // Keep the game on screen and try to get our seat back
+      setReconnecting(true);
+    } else {
       setGameState(null);
       setRoomCode('');
-    };
+    }
   };
 
-  // Create a new game room
-  const createRoom = () => {
-    if (!connected) {
-      // Not connected yet, so connect first
-      connectToServer();
-      // Wait for connection to establish - increased timeout
-      setTimeout(() => {
-        if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-          ws.current.send(JSON.stringify({ type: 'CREATE_ROOM' }));
+  // The server connection (see connection.js), created on first use
+  const getConnection = () => {
+    if (!connection.current) {
+      connection.current = createConnection(server.current, {
+        onOpen: handleOpen,
+        onMessage: handleMessage,
+        onStatusChange: handleStatusChange,
+        // In a game (or watching one) we keep retrying until we're back
+        shouldReconnect: () => !!(session.current || spectatingRoom.current),
+      });
+    }
+    return connection.current;
+  };
+
+  // Send a message to the server (queued until the connection is open)
+  // During a local game the same messages are played on this device instead
+  const send = (message) => {
+    if (localGame.current) {
+      playLocalMessage(message);
+      return;
+    }
+    getConnection().send(message);
+  };
+
+  // Put a local game on screen and save it
+  // In pass-and-play the phone goes round the table, so "you" is whoever's turn it is
+  const showLocalGame = (game) => {
+    localGame.current = game;
+    setIsLocal(true);
+    setRoomCode('');
+    setMyPlayerId(game.activePlayerId);
+    setGameState(getLocalGameState(game));
+    AsyncStorage.setItem(LOCAL_GAME_STORAGE_KEY, JSON.stringify(game))
+      .catch(error => console.error('Could not save local game:', error));
+  };
+
+  // Apply a message to the local game, acting as the player holding the phone
+  const playLocalMessage = (message) => {
+    const game = localGame.current;
+    const { game: updated, error } = applyLocalAction(game, game.activePlayerId, message);
+    if (error) {
+      Alert.alert('Error', error);
+      return;
+    }
+    if (updated === game) return;  // Nothing changed
+
+    showLocalGame(updated);
+    if (updated.gameOver && !game.gameOver) {
+      setShowResult(true);
+    }
+  };
+
+  // Start a game for everyone at this table on this one device
+  const startLocalGame = () => {
+    const playerCount = Math.min(localPlayerCount, localPlayerLimit(selectedFormat));
+    showLocalGame(createLocalGame(selectedFormat, playerCount));
+  };
+
+  // Forget the local game (whatever is on screen stays there)
+  const clearLocalGame = () => {
+    localGame.current = null;
+    setIsLocal(false);
+    AsyncStorage.removeItem(LOCAL_GAME_STORAGE_KEY)
+      .catch(error => console.error('Could not clear local game:', error));
+  };
+
+  // Delete the local game and go back to the menu
+  const endLocalGame = () => {
+    Alert.alert(
+      'End Local Game',
+      'The game on this device will be deleted.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'End Game',
+          style: 'destructive',
+          onPress: () => {
+            clearLocalGame();
+            setGameState(null);
+            setMyPlayerId('');
+          }
         }
-      }, 1000); // Increased from 500ms to 1000ms
-    } else {
-      // Already connected, just create room
-      ws.current.send(JSON.stringify({ type: 'CREATE_ROOM' }));
+      ]
+    );
+  };
+
+  // Give up our seat (or stop watching) and go back to the menu
+  // The server frees the seat straight away, so there's no coming back to it
+  const leaveGame = () => {
+    const leave = () => {
+      Object.keys(pendingLifeChanges.current).forEach(takePendingLife);  // No point sending them now
+      getConnection().sendIfOpen({ type: 'LEAVE_ROOM' });
+      clearSession();
+      spectatingRoom.current = null;
+      getConnection().close();
+      setReconnecting(false);
+      setIsSpectator(false);
+      setGameState(null);
+      setRoomCode('');
+      setMyPlayerId('');
+    };
+
+    if (isSpectator) {
+      leave();
+      return;
     }
+    Alert.alert(
+      'Leave Game',
+      'Your seat will be given up and the game goes on without you.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Leave', style: 'destructive', onPress: leave }
+      ]
+    );
+  };
+
+  // Move the local game to the server so other phones can join it
+  // The server sends back a seat for every player: this device RESUMEs the
+  // first one (its owner, the host) and the rest can be claimed by QR code
+  const hostLocalGame = () => {
+    if (!requireServer()) return;
+
+    fetch(`${server.current.replace(/^ws/, 'http')}/rooms`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toUpload(localGame.current, localGame.current.hostId)),
+    })
+      .then(response => response.json().then(body => ({ ok: response.ok, body })))
+      .then(({ ok, body }) => {
+        if (!ok) throw new Error(body.error ? body.error.message : 'The server turned the game down');
+
+        // The local game stays on screen until ROOM_RESUMED replaces it
+        clearLocalGame();
+        setOpenSeats(body.seats);
+        saveSession({ roomCode: body.roomCode, resumeToken: body.resumeToken, openSeats: body.seats });
+        setReconnecting(true);
+        getConnection().connect();
+      })
+      .catch(error => Alert.alert('Could Not Host Game', error.message));
+  };
+
+  // Make sure there's a server to talk to before starting anything
+  // Opens server settings and returns false if none is chosen yet
+  const requireServer = () => {
+    if (server.current) return true;
+    Alert.alert('No Server', 'Choose a server on your network or enter its address first.');
+    openServerSettings();
+    return false;
+  };
+
+  // Fetch the leaderboard, recent games and (with a profile) our head-to-head records
+  const loadStats = () => {
+    const profile = profiles.current[server.current];
+    Promise.all([
+      requestJson(server.current, '/stats/leaderboard'),
+      requestJson(server.current, '/games?limit=20'),
+      profile ? requestJson(server.current, `/profiles/${profile.id}/head-to-head`) : { opponents: [] },
+    ])
+      .then(([{ leaderboard }, { games }, { opponents }]) => setStats({ leaderboard, games, headToHead: opponents }))
+      .catch(error => Alert.alert('Could Not Load Stats', error.message));
+  };
+
+  // Open the stats screen for the chosen server
+  const openStats = () => {
+    if (!requireServer()) return;
+    setStats(null);
+    setShowStats(true);
+    loadStats();
+  };
+
+  // Create our profile on this server, or rename it
+  const editProfile = () => {
+    const profile = profiles.current[server.current];
+
+    Alert.prompt(
+      profile ? 'Rename Profile' : 'Create Profile',
+      'Your name on the leaderboard:',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'OK',
+          onPress: (text) => {
+            const name = (text || '').trim();
+            if (!name) return;
+            saveProfileOnServer({ name });
+          }
+        }
+      ],
+      'plain-text',
+      profile ? profile.name : ''
+    );
+  };
+
+  // Send a new name or color to the server, creating the profile if we have none yet
+  // The token only comes back when the profile is created, so it's kept from then on
+  const saveProfileOnServer = (changes) => {
+    const url = server.current;
+    const profile = profiles.current[url];
+    const request = profile
+      ? requestJson(url, `/profiles/${profile.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${profile.token}` },
+        body: JSON.stringify(changes),
+      })
+      : requestJson(url, '/profiles', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+
+    request
+      .then(body => {
+        const token = profile ? profile.token : body.token;
+        saveProfiles({ ...profiles.current, [url]: { ...body.profile, token } });
+        loadStats();
+      })
+      .catch(error => Alert.alert('Could Not Save Profile', error.message));
+  };
+
+  // Create a new game room (sent as soon as the connection is open)
+  const createRoom = () => {
+    if (!requireServer()) return;
+    send({ type: 'CREATE_ROOM', format: selectedFormat });
   };
 
   // Join an existing game room
@@ -115,55 +834,333 @@ export default function App() {
       Alert.alert('Error', 'Please enter a room code');
       return;
     }
+    if (!requireServer()) return;
+
+    send({
+      type: 'JOIN_ROOM',
+      roomCode: inputRoomCode.toUpperCase()
+    });
+    setRoomCode(inputRoomCode.toUpperCase());
+  };
+
+  // Join straight from a bigtable://join/... link (QR code or shared link)
+  // Runs from the launch effect too, so it only reads refs, not state
+  const openJoinLink = (url) => {
+    const link = parseJoinLink(url);
+    if (!link) return;
+
+    if (session.current || spectatingRoom.current) {
+      Alert.alert('Already in a Game', `Finish this game before joining room ${link.roomCode}.`);
+      return;
+    }
+    if (localGame.current) {
+      Alert.alert('Local Game Running', `End the local game before joining room ${link.roomCode}.`);
+      return;
+    }
+    if (link.server) changeServer(link.server);
+    setInputRoomCode(link.roomCode);
+    if (!requireServer()) return;
+
+    if (link.seat) {
+      // Claim a seat that's waiting for us - the same as resuming it
+      saveSession({ roomCode: link.roomCode, resumeToken: link.seat });
+      setReconnecting(true);
+      if (getConnection().getStatus() === 'open') {
+        send({ type: 'RESUME', roomCode: link.roomCode, resumeToken: link.seat });
+      } else {
+        getConnection().connect();  // handleOpen sends RESUME
+      }
+      return;
+    }
+
+    send({ type: 'JOIN_ROOM', roomCode: link.roomCode });
+    setRoomCode(link.roomCode);
+  };
+
+  // Send the join link through the phone's share sheet
+  const shareJoinLink = () => {
+    Share.share({
+      title: `Join bigtable game ${roomCode}`,
+      message: buildJoinLink(roomCode, serverUrl, inviteSeatToken),
+    });
+  };
+
+  // Watch an existing game room without taking a seat
+  const watchRoom = () => {
+    if (!inputRoomCode) {
+      Alert.alert('Error', 'Please enter a room code');
+      return;
+    }
+    if (!requireServer()) return;
+
+    spectatingRoom.current = { roomCode: inputRoomCode.toUpperCase(), readToken: null };
 
-    if (!connected) {
-      // Not connected yet, so connect first
-      connectToServer();
-      setTimeout(() => {
-        if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-          ws.current.send(JSON.stringify({
-            type: 'JOIN_ROOM',
-            roomCode: inputRoomCode.toUpperCase()
-          }));
-          setRoomCode(inputRoomCode.toUpperCase());
+    if (getConnection().getStatus() === 'open') {
+      sendWatch();
+    } else {
+      // handleOpen sends JOIN_AS_SPECTATOR once connected
+      getConnection().connect();
+    }
+  };
+
+  // Ask to watch the room in spectatingRoom (with its read token, if we have one)
+  // Runs from message handlers, so it only reads refs
+  const sendWatch = () => {
+    const { roomCode: watchCode, readToken: token } = spectatingRoom.current;
+    send({
+      type: 'JOIN_AS_SPECTATOR',
+      roomCode: watchCode,
+      ...(token ? { readToken: token } : {})
+    });
+  };
+
+  // Rooms with "Require Read Token" on need the token from the host's settings screen
+  // Kept with the room we're watching, so reconnects send it too
+  const askReadToken = (watchCode) => {
+    Alert.prompt(
+      'Read Token Needed',
+      `Room ${watchCode} needs the read token from the host's settings screen.`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+          onPress: () => {
+            spectatingRoom.current = null;
+          }
+        },
+        {
+          text: 'Watch',
+          onPress: (token) => {
+            if (!spectatingRoom.current || !token || !token.trim()) {
+              spectatingRoom.current = null;
+              return;
+            }
+            spectatingRoom.current = { roomCode: watchCode, readToken: token.trim() };
+            sendWatch();
+          }
+        }
+      ],
+      'plain-text'
+    );
+  };
+
+  // Update a player's life total
+  // Taps are added up and sent as one signed change once they stop
+  const updateLife = (playerId, change) => {
+    const pending = pendingLifeChanges.current[playerId] || { delta: 0, timer: null };
+    clearTimeout(pending.timer);
+    pending.delta += change;
+    pending.timer = setTimeout(() => sendLifeChange(playerId), LIFE_DEBOUNCE_MS);
+    pendingLifeChanges.current[playerId] = pending;
+
+    // Show the running total straight away
+    setPendingLife(current => ({ ...current, [playerId]: pending.delta }));
+  };
+
+  // Forget a player's unsent taps; returns the delta that was waiting
+  const takePendingLife = (playerId) => {
+    const pending = pendingLifeChanges.current[playerId];
+    if (!pending) return 0;
+
+    clearTimeout(pending.timer);
+    delete pendingLifeChanges.current[playerId];
+    setPendingLife(current => {
+      const { [playerId]: removed, ...rest } = current;
+      return rest;
+    });
+    return pending.delta;
+  };
+
+  // Send the added-up taps - the server applies the delta to its own total
+  const sendLifeChange = (playerId) => {
+    const delta = takePendingLife(playerId);
+    if (delta === 0) return;  // Taps cancelled out
+
+    send({
+      type: 'UPDATE_LIFE',
+      playerId: playerId,
+      delta: delta
+    });
+  };
+
+  // Colored dot showing whether a player's phone is connected
+  const presenceDot = (player) => (
+    <Text style={[styles.presenceDot, { color: PRESENCE_COLORS[player.presence] || PRESENCE_COLORS.disconnected }]}>
+      ●{' '}
+    </Text>
+  );
+
+  // Life as it should look, including taps that haven't been sent yet
+  // (same floor at 0 the server applies, see lifeAfterChange in shared/gameRules.js)
+  const displayLife = (player) => lifeAfterChange(player.life, pendingLife[player.id] || 0);
+
+  // Type in an exact life total (long-press the life total)
+  const setLifeTotal = (playerId) => {
+    const player = gameState.players.find(p => p.id === playerId);
+
+    Alert.prompt(
+      'Set Life',
+      `Enter ${player.name}'s life total:`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'OK',
+          onPress: (text) => {
+            const life = parseInt(text, 10);
+            if (isNaN(life) || life < 0) return;
+
+            // An exact total replaces any taps still waiting
+            takePendingLife(playerId);
+            send({
+              type: 'SET_LIFE',
+              playerId: playerId,
+              life: life
+            });
+          }
+        }
+      ],
+      'plain-text',
+      String(displayLife(player)),
+      'number-pad'
+    );
+  };
+
+  // Update commander damage between two players
+  // commanderIndex picks which of the source's commanders (partners have two)
+  const updateCommanderDamage = (sourceId, targetId, commanderIndex, damage) => {
+    console.log('Updating commander damage:', { sourceId, targetId, commanderIndex, damage });
+    send({
+      type: 'UPDATE_COMMANDER_DAMAGE',
+      sourcePlayerId: sourceId,
+      targetPlayerId: targetId,
+      commander: commanderIndex,
+      damage: damage
+    });
+  };
+
+  // Every (source, commander) pair that has dealt damage to a player, for display
+  const listCommanderDamage = (target) => Object.entries(target.commanderDamage)
+    .flatMap(([sourceId, fromSource]) => {
+      const source = gameState.players.find(p => p.id === sourceId);
+      return Object.entries(fromSource).map(([index, damage]) => ({
+        key: `${sourceId}-${index}`,
+        sourceName: source?.name,
+        commanderName: source?.commanders[index],
+        damage: damage,
+      }));
+    })
+    .filter(entry => entry.damage > 0);
+
+  // Set a player's commander names - "Tymna / Thrasios" for partners
+  const changeCommanders = (playerId) => {
+    const player = gameState.players.find(p => p.id === playerId);
+
+    Alert.prompt(
+      'Commanders',
+      'Enter your commander (use / between partners):',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'OK',
+          onPress: (text) => {
+            const commanders = (text || '')
+              .split('/')
+              .map(name => name.trim())
+              .filter(Boolean)
+              .slice(0, 2);
+            if (commanders.length > 0) {
+              send({
+                type: 'SET_COMMANDERS',
+                playerId: playerId,
+                commanders: commanders
+              });
+            }
+          }
+        }
+      ],
+      'plain-text',
+      player.commanders.join(' / ')
+    );
+  };
+
+  // Change one of a player's counters (poison, energy, custom...)
+  // Sent as a signed change, like life, so it can't undo someone else's change we haven't seen yet
+  const updateCounter = (playerId, counter, change) => {
+    send({
+      type: 'UPDATE_COUNTER',
+      playerId: playerId,
+      counter: counter,
+      delta: change
+    });
+  };
+
+  // Ask for a name and start a custom counter at 1
+  const addCustomCounter = (playerId) => {
+    Alert.prompt(
+      'Custom Counter',
+      'Counter name:',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Add',
+          onPress: (name) => {
+            if (name && name.trim()) {
+              updateCounter(playerId, name.trim(), 1);
+            }
+          }
         }
-      }, 1000); // Increased from 500ms to 1000ms
-    } else {
-      // Already connected, just join room
-      ws.current.send(JSON.stringify({
-        type: 'JOIN_ROOM',
-        roomCode: inputRoomCode.toUpperCase()
-      }));
-      setRoomCode(inputRoomCode.toUpperCase());
-    }
+      ],
+      'plain-text'
+    );
   };
 
-  // Update a player's life total
-  const updateLife = (playerId, change) => {
-    // Find the player to get their current life
-    const player = gameState.players.find(p => p.id === playerId);
-    if (!player) return;
+  // Display name for a counter (built-ins have labels, custom ones use their name)
+  const counterLabel = (counter) => {
+    const kind = gameState.counterKinds[counter];
+    return kind ? kind.label : counter;
+  };
 
-    // Calculate new life total (minimum 0)
-    const newLife = Math.max(0, player.life + change);
+  // Log times are ISO timestamps - show them in the phone's own time zone
+  // (rooms saved by older servers already have a display time)
+  const formatLogTime = (time) => {
+    const date = new Date(time);
+    return isNaN(date.getTime()) ? time : date.toLocaleTimeString();
+  };
 
-    // Send update to server
-    ws.current.send(JSON.stringify({
-      type: 'UPDATE_LIFE',
-      playerId: playerId,
-      life: newLife
-    }));
+  // Player name for an id in the log (the server itself has no id)
+  const logPlayerName = (id) => {
+    if (!id) return 'Server';
+    const player = gameState.players.find(p => p.id === id);
+    return player ? player.name : id;
   };
 
-  // Update commander damage between two players
-  const updateCommanderDamage = (sourceId, targetId, damage) => {
-    console.log('Updating commander damage:', { sourceId, targetId, damage });
-    ws.current.send(JSON.stringify({
-      type: 'UPDATE_COMMANDER_DAMAGE',
-      sourcePlayerId: sourceId,
-      targetPlayerId: targetId,
-      damage: damage
-    }));
+  // Readable version of a logged before/after value
+  const formatLogValue = (value) => {
+    if (value === null || value === undefined) return '–';
+    if (Array.isArray(value)) return value.map(formatLogValue).join(', ');
+    if (typeof value === 'object') {
+      return Object.entries(value).map(([key, item]) => `${key} ${formatLogValue(item)}`).join(', ');
+    }
+    // Player ids (turns, host changes) read better as names
+    return gameState.players.some(p => p.id === value) ? logPlayerName(value) : String(value);
+  };
+
+  // Send the room's full log as a CSV link (opens in a spreadsheet)
+  // A local game has no server to download from, so its log goes out as text
+  const shareLog = () => {
+    if (isLocal) {
+      Share.share({
+        title: 'bigtable local game',
+        message: gameState.gameLog.map(entry => `${formatLogTime(entry.time)}  ${entry.message}`).join('\n'),
+      });
+      return;
+    }
+
+    const tokenParam = gameState.settings.requireReadToken && readToken ? `&token=${readToken}` : '';
+    Share.share({
+      title: `bigtable game ${roomCode}`,
+      message: `${serverUrl.replace(/^ws/, 'http')}/rooms/${roomCode}/log?format=csv${tokenParam}`,
+    });
   };
 
   // Change a player's name
@@ -181,11 +1178,11 @@ export default function App() {
           onPress: (name) => {
             // Only send if name is not empty
             if (name && name.trim()) {
-              ws.current.send(JSON.stringify({
+              send({
                 type: 'UPDATE_NAME',
                 playerId: playerId,
                 name: name.trim()
-              }));
+              });
             }
           }
         }
@@ -195,18 +1192,72 @@ export default function App() {
     );
   };
 
-  // Reset all players' life totals to 40
+  // Undo or redo the most recent action (server checks we're allowed)
+  const undo = () => {
+    send({ type: 'UNDO' });
+  };
+
+  const redo = () => {
+    send({ type: 'REDO' });
+  };
+
+  // End the active player's turn and hand it to the next seat
+  const passTurn = () => {
+    send({ type: 'NEXT_TURN' });
+  };
+
+  // Switch between one phone per player and one tablet for the whole table
+  const toggleLayout = () => {
+    const newLayout = layout === 'tabletop' ? 'phone' : 'tabletop';
+    setLayout(newLayout);
+    AsyncStorage.setItem(LAYOUT_STORAGE_KEY, newLayout)
+      .catch(error => console.error('Could not save layout:', error));
+  };
+
+  // Open commander damage dealt to a player
+  // rotation turns the modal to face a tabletop panel's seat
+  const openCommanderDamage = (playerId, rotation = 0) => {
+    if (!gameState.settings.commanderDamage) return;
+    setSelectedPlayerId(playerId);
+    setDamageRotation(rotation);
+    setShowCommanderDamage(true);
+  };
+
+  // Host only: change one of the room's settings
+  const updateSettings = (changes) => {
+    send({ type: 'UPDATE_SETTINGS', settings: changes });
+  };
+
+  // Host only: remove a player from the room
+  const kickPlayer = (player) => {
+    Alert.alert(
+      'Remove Player',
+      `Remove ${player.name} from the game?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => {
+            send({ type: 'KICK_PLAYER', playerId: player.id });
+          }
+        }
+      ]
+    );
+  };
+
+  // Reset all players' life totals to the format's starting life
   const resetGame = () => {
     Alert.alert(
       'Reset Game',
-      'Reset all life totals to 40?',
+      `Reset all life totals to ${gameState.settings.startingLife}?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Reset',
           style: 'destructive',
           onPress: () => {
-            ws.current.send(JSON.stringify({ type: 'RESET_GAME' }));
+            send({ type: 'RESET_GAME' });
           }
         }
       ]
@@ -219,6 +1270,276 @@ export default function App() {
   // FIXED: Add selectedPlayer definition
   const selectedPlayer = gameState ? gameState.players.find(p => p.id === selectedPlayerId) : null;
 
+  // We may undo/redo actions we made or that changed our own player
+  // (in a local game whoever holds the phone can do everything)
+  const isHost = gameState ? isLocal || gameState.hostId === myPlayerId : false;
+  const canUseAction = (action) => !!action &&
+    (isHost || action.actorId === myPlayerId || action.targetIds.includes(myPlayerId));
+
+  // Host can always edit opponents; everyone else only if the room allows it
+  const canEditOpponents = gameState ? isHost || gameState.settings.allowOpponentEdits : false;
+  const canUndo = gameState ? canUseAction(gameState.history.undo) : false;
+  const canRedo = gameState ? canUseAction(gameState.history.redo) : false;
+
+  // Built-in counters always show on my card; custom ones only once they're in use
+  const myCounterNames = myPlayer ? Object.keys(gameState.counterKinds)
+    .concat(Object.keys(myPlayer.counters).filter(name => !gameState.counterKinds[name])) : [];
+
+  // Open seats still waiting for their player's phone (names as they are now)
+  const invitableSeats = gameState ? openSeats
+    .map(seat => ({ ...seat, player: gameState.players.find(p => p.id === seat.playerId) }))
+    .filter(seat => seat.player && seat.player.openSeat)
+    .map(({ player, ...seat }) => ({ ...seat, name: player.name })) : [];
+
+  // Seat the invite QR is for, once it's been picked and while it's still open
+  const inviteSeatToken = invitableSeats.some(seat => seat.resumeToken === inviteSeat) ? inviteSeat : null;
+
+  // Other players in turn order, starting with whoever sits after us
+  const otherPlayers = gameState ? (() => {
+    const mySeat = gameState.seatOrder.indexOf(myPlayerId);
+    const order = gameState.seatOrder.slice(mySeat + 1).concat(gameState.seatOrder.slice(0, Math.max(mySeat, 0)));
+    return order
+      .map(id => gameState.players.find(p => p.id === id))
+      .filter(p => p && p.id !== myPlayerId);
+  })() : [];
+
+  // Everyone may edit their own player; opponents as canEditOpponents allows
+  const canEditPlayer = (player) => player.id === myPlayerId || canEditOpponents;
+
+  // Tabletop panels, with this device's seat on the bottom edge
+  // (a local game's "own" seat follows the turn, so it stays put from the first seat)
+  // null when showing the phone layout, or when the seats don't fit a tablet
+  const tablePlayers = gameState ? (isLocal
+    ? gameState.seatOrder.map(id => gameState.players.find(p => p.id === id)).filter(Boolean)
+    : [myPlayer].filter(Boolean).concat(otherPlayers)) : [];
+  const canUseTabletop = !isSpectator && !!TABLETOP_LAYOUTS[tablePlayers.length];
+  const tabletop = canUseTabletop && layout === 'tabletop' ? arrangeTabletop(tablePlayers) : null;
+
+  // Players whose commanders can be entered against the selected player:
+  // just ours on a phone, anyone at the table on a shared tablet
+  const damageSources = selectedPlayer
+    ? (tabletop ? gameState.players.filter(p => p.id !== selectedPlayer.id) : [myPlayer].filter(Boolean))
+      .filter(source => canEditPlayer(source) || canEditPlayer(selectedPlayer))
+    : [];
+
+  // TABLETOP PANEL - One seat's corner of a shared tablet, turned to face that seat
+  const renderTabletopPanel = ({ player, rotation }) => (
+    <RotatedView
+      key={player.id}
+      rotation={rotation}
+      style={[
+        styles.tabletopPanel,
+        { backgroundColor: player.color },
+        gameState.activePlayerId === player.id && styles.activePlayerCard,
+        player.eliminated && styles.eliminatedCard
+      ]}
+    >
+      {/* Tap name to change it */}
+      <TouchableOpacity onPress={() => changePlayerName(player.id)} disabled={!canEditPlayer(player)}>
+        <Text style={styles.playerName}>
+          {presenceDot(player)}{player.name}{gameState.hostId === player.id ? ' ★' : ''}
+        </Text>
+      </TouchableOpacity>
+      {player.eliminated && <Text style={styles.eliminatedText}>Eliminated</Text>}
+
+      {/* Life counter controls - long-press the total to type an exact one */}
+      <View style={styles.lifeContainer}>
+        {canEditPlayer(player) && (
+          <TouchableOpacity style={styles.tabletopLifeButton} onPress={() => updateLife(player.id, -1)}>
+            <Text style={styles.lifeButtonText}>-</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity onLongPress={() => setLifeTotal(player.id)} disabled={!canEditPlayer(player)}>
+          <Text style={styles.tabletopLife}>{displayLife(player)}</Text>
+        </TouchableOpacity>
+        {canEditPlayer(player) && (
+          <TouchableOpacity style={styles.tabletopLifeButton} onPress={() => updateLife(player.id, 1)}>
+            <Text style={styles.lifeButtonText}>+</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Read-only summary of their non-zero counters */}
+      {Object.keys(player.counters).length > 0 && (
+        <Text style={styles.playerCounters}>
+          {Object.entries(player.counters)
+            .map(([name, value]) => `${counterLabel(name)} ${value}`)
+            .join(' · ')}
+        </Text>
+      )}
+
+      <View style={styles.tabletopActions}>
+        {/* Most damage taken from any one commander - tap to enter more from this side of the table */}
+        {gameState.settings.commanderDamage && (
+          <TouchableOpacity style={styles.tabletopAction} onPress={() => openCommanderDamage(player.id, rotation)}>
+            <Text style={styles.counterButtonText}>
+              ⚔️ {listCommanderDamage(player).reduce((total, entry) => Math.max(total, entry.damage), 0)}
+            </Text>
+          </TouchableOpacity>
+        )}
+        {gameState.activePlayerId === player.id && (player.id === myPlayerId || isHost) && (
+          <TouchableOpacity style={styles.tabletopAction} onPress={passTurn}>
+            <Text style={styles.counterButtonText}>Pass Turn</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </RotatedView>
+  );
+
+  // SERVER SETTINGS MODAL - Address of the server, kept on the device
+  // Shown from the menu, and from a local game that's being moved to a server
+  const serverSettingsModal = (
+    <Modal visible={showServerSettings} transparent animationType="slide">
+      <View style={styles.modalBackground}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Server</Text>
+
+          <TextInput
+            style={[styles.input, styles.serverInput]}
+            value={serverInput}
+            onChangeText={setServerInput}
+            placeholder="192.168.1.100:3000"
+            placeholderTextColor="#666"
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+          <Text style={styles.settingHint}>
+            {discoveryAvailable
+              ? 'Servers on your WiFi also show up on the menu by themselves.'
+              : 'This build can\'t search the network - enter the address the server prints when it starts.'}
+          </Text>
+
+          {/* Found servers fill in the address (the menu lists them too) */}
+          {discoveredServers.map(found => (
+            <TouchableOpacity
+              key={found.url}
+              style={styles.serverOption}
+              onPress={() => setServerInput(displayServer(found.url))}
+            >
+              <Text style={styles.formatOptionText}>{found.name}</Text>
+              <Text style={styles.serverOptionDetail}>{displayServer(found.url)}</Text>
+            </TouchableOpacity>
+          ))}
+
+          <TouchableOpacity style={[styles.modalButton, styles.resultButton]} onPress={saveServerInput}>
+            <Text style={styles.buttonText}>Save</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.modalButton} onPress={() => setShowServerSettings(false)}>
+            <Text style={styles.buttonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+
+  // Our profile on the chosen server, if we've made one
+  const myProfile = savedProfiles[serverUrl] || null;
+
+  // Win rate as a whole percentage
+  const formatWinRate = (rate) => `${Math.round(rate * 100)}%`;
+
+  // STATS MODAL - Our profile, the server's leaderboard, head-to-head records and recent games
+  // Only players with a profile are ranked; every finished game shows under Recent
+  const statsModal = (
+    <Modal visible={showStats} transparent animationType="slide">
+      <View style={styles.modalBackground}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Stats</Text>
+
+          {/* Our profile on this server - tap the name to rename it, a color to pick it */}
+          <TouchableOpacity onPress={editProfile}>
+            <Text style={styles.profileName}>
+              {myProfile
+                ? <><Text style={{ color: myProfile.color }}>● </Text>{myProfile.name} ✎</>
+                : 'Create a profile to get on the leaderboard'}
+            </Text>
+          </TouchableOpacity>
+          {myProfile && (
+            <View style={styles.colorPicker}>
+              {playerColors.map(color => (
+                <TouchableOpacity
+                  key={color}
+                  style={[styles.colorOption, { backgroundColor: color }, myProfile.color === color && styles.colorOptionSelected]}
+                  onPress={() => saveProfileOnServer({ color })}
+                />
+              ))}
+            </View>
+          )}
+
+          <View style={styles.formatPicker}>
+            {STATS_TABS.map(tab => (
+              <TouchableOpacity
+                key={tab.id}
+                style={[styles.formatOption, styles.statsTab, statsTab === tab.id && styles.formatOptionSelected]}
+                onPress={() => setStatsTab(tab.id)}
+              >
+                <Text style={styles.formatOptionText}>{tab.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <ScrollView style={styles.logList}>
+            {!stats && <Text style={styles.settingHint}>Loading...</Text>}
+
+            {/* Profiles by wins */}
+            {stats && statsTab === 'leaderboard' && (stats.leaderboard.length === 0
+              ? <Text style={styles.settingHint}>No finished games with profiles yet.</Text>
+              : stats.leaderboard.map((entry, index) => (
+                <View key={entry.profileId} style={styles.statsRow}>
+                  <Text style={styles.statsRank}>{index + 1}</Text>
+                  <Text style={[styles.statsName, { color: entry.color }]}>
+                    {entry.name}{myProfile && entry.profileId === myProfile.id ? ' (You)' : ''}
+                  </Text>
+                  <Text style={styles.statsValue}>
+                    {entry.wins}/{entry.games} · {formatWinRate(entry.winRate)}
+                  </Text>
+                </View>
+              )))}
+
+            {/* Our record against each player - finishing ahead of them counts as a win */}
+            {stats && statsTab === 'headToHead' && (!myProfile || stats.headToHead.length === 0
+              ? <Text style={styles.settingHint}>
+                  {myProfile ? 'No games against other profiles yet.' : 'Create a profile to see your record against other players.'}
+                </Text>
+              : stats.headToHead.map(entry => (
+                <View key={entry.profileId} style={styles.statsRow}>
+                  <Text style={[styles.statsName, { color: entry.color }]}>{entry.name}</Text>
+                  <Text style={styles.statsValue}>
+                    {entry.wins}-{entry.losses} in {entry.games} · {formatWinRate(entry.winRate)}
+                  </Text>
+                </View>
+              )))}
+
+            {/* Finished games, newest first, players by placement */}
+            {stats && statsTab === 'recent' && (stats.games.length === 0
+              ? <Text style={styles.settingHint}>No finished games yet.</Text>
+              : stats.games.map(game => (
+                <View key={game.id} style={styles.logItem}>
+                  <Text style={styles.logTime}>
+                    {new Date(game.finishedAt).toLocaleDateString()} · {game.format} · {game.turns} turns
+                  </Text>
+                  {game.players
+                    .slice()
+                    .sort((a, b) => a.placement - b.placement)
+                    .map(player => (
+                      <Text key={player.playerId} style={styles.logMessage}>
+                        {player.placement}. {player.name} ({player.commanders.join(' & ')})
+                        {player.eliminationCause ? ` - ${ELIMINATION_LABELS[player.eliminationCause]}` : ''}
+                      </Text>
+                    ))}
+                </View>
+              )))}
+          </ScrollView>
+
+          <TouchableOpacity style={styles.modalButton} onPress={() => setShowStats(false)}>
+            <Text style={styles.buttonText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+
   // MAIN MENU SCREEN - Shows when not in a game
   if (!gameState) {
     return (
@@ -227,11 +1548,77 @@ export default function App() {
         <View style={styles.menuContainer}>
           <Text style={styles.title}>bigtable</Text>
 
+          {/* Current server - tap to change it */}
+          <TouchableOpacity onPress={openServerSettings}>
+            <Text style={styles.serverText}>
+              {serverUrl ? `Server: ${displayServer(serverUrl)} ✎` : 'No server chosen - tap to set one'}
+            </Text>
+          </TouchableOpacity>
+
+          {/* Servers announcing themselves on the network */}
+          {discoveredServers.length > 0 && (
+            <View style={styles.serverList}>
+              <Text style={styles.serverListTitle}>On your network</Text>
+              {discoveredServers.map(found => (
+                <TouchableOpacity
+                  key={found.url}
+                  style={[styles.serverOption, found.url === serverUrl && styles.formatOptionSelected]}
+                  onPress={() => changeServer(found.url)}
+                >
+                  <Text style={styles.formatOptionText}>{found.name}</Text>
+                  <Text style={styles.serverOptionDetail}>
+                    {displayServer(found.url)} · {found.rooms} {found.rooms === 1 ? 'room' : 'rooms'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {/* Connection progress while a create/join waits to be sent */}
+          {connectionStatus === 'connecting' && (
+            <Text style={styles.connectionStatus}>Connecting...</Text>
+          )}
+          {connectionStatus === 'reconnecting' && (
+            <Text style={styles.connectionStatus}>Can't reach the server - retrying...</Text>
+          )}
+
+          {/* Format picker for new games */}
+          <View style={styles.formatPicker}>
+            {GAME_FORMATS.map(format => (
+              <TouchableOpacity
+                key={format.id}
+                style={[styles.formatOption, selectedFormat === format.id && styles.formatOptionSelected]}
+                onPress={() => setSelectedFormat(format.id)}
+              >
+                <Text style={styles.formatOptionText}>{format.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
           {/* Create new game button */}
           <TouchableOpacity style={styles.button} onPress={createRoom}>
             <Text style={styles.buttonText}>Create New Game</Text>
           </TouchableOpacity>
 
+          {/* Local game - everyone on this device, no server needed */}
+          <View style={styles.formatPicker}>
+            {[2, 3, 4, 5, 6].filter(count => count <= localPlayerLimit(selectedFormat)).map(count => (
+              <TouchableOpacity
+                key={count}
+                style={[
+                  styles.formatOption,
+                  Math.min(localPlayerCount, localPlayerLimit(selectedFormat)) === count && styles.formatOptionSelected
+                ]}
+                onPress={() => setLocalPlayerCount(count)}
+              >
+                <Text style={styles.formatOptionText}>{count}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={startLocalGame}>
+            <Text style={styles.buttonText}>Local Game (This Device)</Text>
+          </TouchableOpacity>
+
           <Text style={styles.orText}>OR</Text>
 
           {/* Room code input field */}
@@ -249,7 +1636,20 @@ export default function App() {
           <TouchableOpacity style={styles.button} onPress={joinRoom}>
             <Text style={styles.buttonText}>Join Game</Text>
           </TouchableOpacity>
+
+          {/* Watch without taking a seat */}
+          <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={watchRoom}>
+            <Text style={styles.buttonText}>Watch Game</Text>
+          </TouchableOpacity>
+
+          {/* Profile, leaderboard and past games on this server */}
+          <TouchableOpacity onPress={openStats}>
+            <Text style={styles.serverText}>🏆 Stats{myProfile ? ` · ${myProfile.name}` : ''}</Text>
+          </TouchableOpacity>
         </View>
+
+        {serverSettingsModal}
+        {statsModal}
       </SafeAreaView>
     );
   }
@@ -261,26 +1661,124 @@ export default function App() {
 
       {/* Header with room code and action buttons */}
       <View style={styles.header}>
-        <Text style={styles.roomCodeText}>Room: {roomCode}</Text>
+        <View>
+          {/* Tap the room code for a QR code other phones can scan */}
+          {isLocal ? (
+            <Text style={styles.roomCodeText}>Local Game</Text>
+          ) : (
+            <TouchableOpacity onPress={() => setShowInvite(true)}>
+              <Text style={styles.roomCodeText}>Room: {roomCode} <Text style={styles.qrHint}>▦ QR</Text></Text>
+            </TouchableOpacity>
+          )}
+          <Text style={styles.turnText}>
+            Turn {gameState.turnNumber}
+            {gameState.spectatorCount > 0 ? ` · 👁 ${gameState.spectatorCount}` : ''}
+            {isSpectator ? ' · Spectating' : ''}
+          </Text>
+        </View>
         <View style={styles.headerButtons}>
           {/* Game log button */}
           <TouchableOpacity onPress={() => setShowLog(true)} style={styles.headerButton}>
             <Text style={styles.headerButtonText}>📜 Log</Text>
           </TouchableOpacity>
-          {/* Reset game button */}
-          <TouchableOpacity onPress={resetGame} style={styles.headerButton}>
-            <Text style={styles.headerButtonText}>🔄 Reset</Text>
-          </TouchableOpacity>
+          {/* Switch between phone and shared-tablet layouts */}
+          {canUseTabletop && (
+            <TouchableOpacity onPress={toggleLayout} style={styles.headerButton}>
+              <Text style={styles.headerButtonText}>{layout === 'tabletop' ? '📱 Phone' : '🔲 Table'}</Text>
+            </TouchableOpacity>
+          )}
+          {/* Undo button - dimmed when the last action isn't ours to undo */}
+          {!isSpectator && (
+            <TouchableOpacity onPress={undo} disabled={!canUndo} style={styles.headerButton}>
+              <Text style={[styles.headerButtonText, !canUndo && styles.headerButtonDisabled]}>↩️ Undo</Text>
+            </TouchableOpacity>
+          )}
+          {/* Redo button - only shown after an undo */}
+          {canRedo && (
+            <TouchableOpacity onPress={redo} style={styles.headerButton}>
+              <Text style={styles.headerButtonText}>↪️ Redo</Text>
+            </TouchableOpacity>
+          )}
+          {/* Host-only settings and reset buttons */}
+          {isHost && (
+            <TouchableOpacity onPress={() => setShowSettings(true)} style={styles.headerButton}>
+              <Text style={styles.headerButtonText}>⚙️</Text>
+            </TouchableOpacity>
+          )}
+          {isHost && (
+            <TouchableOpacity onPress={resetGame} style={styles.headerButton}>
+              <Text style={styles.headerButtonText}>🔄 Reset</Text>
+            </TouchableOpacity>
+          )}
+          {/* Local games can move to a server, or be ended */}
+          {isLocal && (
+            <TouchableOpacity onPress={hostLocalGame} style={styles.headerButton}>
+              <Text style={styles.headerButtonText}>☁️ Host</Text>
+            </TouchableOpacity>
+          )}
+          {isLocal && (
+            <TouchableOpacity onPress={endLocalGame} style={styles.headerButton}>
+              <Text style={styles.headerButtonText}>✕</Text>
+            </TouchableOpacity>
+          )}
+          {!isLocal && (
+            <TouchableOpacity onPress={leaveGame} style={styles.headerButton}>
+              <Text style={styles.headerButtonText}>✕</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </View>
 
+      {/* Shown while the connection is down and we are waiting to resume */}
+      {reconnecting && (
+        <View style={styles.reconnectBanner}>
+          <Text style={styles.reconnectText}>Reconnecting...</Text>
+        </View>
+      )}
+
+      {/* Shown while the server has gone quiet but the socket is still open */}
+      {connectionDegraded && !reconnecting && (
+        <View style={[styles.reconnectBanner, styles.degradedBanner]}>
+          <Text style={styles.reconnectText}>Weak connection - changes may be delayed</Text>
+        </View>
+      )}
+
+      {/* TABLETOP - One shared tablet, a panel facing each seat around the edges */}
+      {tabletop && (
+        <View style={styles.tabletop}>
+          {tabletop.top.length > 0 && (
+            <View style={styles.tabletopRow}>{tabletop.top.map(renderTabletopPanel)}</View>
+          )}
+          {tabletop.left.length + tabletop.right.length > 0 && (
+            <View style={styles.tabletopRow}>
+              <View style={styles.tabletopColumn}>{tabletop.left.map(renderTabletopPanel)}</View>
+              <View style={styles.tabletopColumn}>{tabletop.right.map(renderTabletopPanel)}</View>
+            </View>
+          )}
+          <View style={styles.tabletopRow}>{tabletop.bottom.map(renderTabletopPanel)}</View>
+        </View>
+      )}
+
       {/* Current player's life display */}
-      {myPlayer && (
-        <View style={[styles.myPlayerCard, { backgroundColor: myPlayer.color }]}>
+      {myPlayer && !tabletop && (
+        <View style={[
+          styles.myPlayerCard,
+          { backgroundColor: myPlayer.color },
+          gameState.activePlayerId === myPlayer.id && styles.activePlayerCard,
+          myPlayer.eliminated && styles.eliminatedCard
+        ]}>
           {/* Tap name to change it */}
           <TouchableOpacity onPress={() => changePlayerName(myPlayer.id)}>
-            <Text style={styles.myPlayerName}>{myPlayer.name} (You)</Text>
+            <Text style={styles.myPlayerName}>{presenceDot(myPlayer)}{myPlayer.name}{isLocal ? '' : ' (You)'}{gameState.hostId === myPlayer.id ? ' ★' : ''}</Text>
           </TouchableOpacity>
+          {myPlayer.eliminated && <Text style={styles.eliminatedText}>Eliminated</Text>}
+
+          {/* Tap commanders to rename them or add a partner */}
+          {gameState.settings.commanderDamage && (
+            <TouchableOpacity onPress={() => changeCommanders(myPlayer.id)}>
+              <Text style={styles.commanderNames}>⚔️ {myPlayer.commanders.join(' & ')}</Text>
+            </TouchableOpacity>
+          )}
 
           {/* Life counter controls */}
           <View style={styles.lifeContainer}>
@@ -292,8 +1790,10 @@ export default function App() {
               <Text style={styles.lifeButtonText}>-</Text>
             </TouchableOpacity>
 
-            {/* Life total display */}
-            <Text style={styles.lifeText}>{myPlayer.life}</Text>
+            {/* Life total display - long-press to type an exact total */}
+            <TouchableOpacity onLongPress={() => setLifeTotal(myPlayer.id)}>
+              <Text style={styles.lifeText}>{displayLife(myPlayer)}</Text>
+            </TouchableOpacity>
 
             {/* Increase life button */}
             <TouchableOpacity
@@ -304,43 +1804,148 @@ export default function App() {
             </TouchableOpacity>
           </View>
 
-          {/* Display commander damage taken (if any) */}
-          {Object.keys(myPlayer.commanderDamage).length > 0 && (
+          {/* Display commander damage taken (if any), one line per commander */}
+          {listCommanderDamage(myPlayer).length > 0 && (
             <View style={styles.damageInfo}>
               <Text style={styles.damageTitle}>Commander Damage:</Text>
-              {Object.entries(myPlayer.commanderDamage).map(([sourceId, damage]) => {
-                // Find the player who dealt this damage
-                const source = gameState.players.find(p => p.id === sourceId);
+              {listCommanderDamage(myPlayer).map(entry => {
+                const lethal = entry.damage >= gameState.settings.commanderDamageLethal;
                 return (
-                  <Text key={sourceId} style={styles.damageText}>
-                    {source?.name}: {damage}
+                  <Text key={entry.key} style={[styles.damageText, lethal && styles.damageLethal]}>
+                    {entry.sourceName} ({entry.commanderName}): {entry.damage}{lethal ? ' (lethal)' : ''}
                   </Text>
                 );
               })}
             </View>
           )}
+
+          {/* Counters panel - poison, energy, experience, tax and custom counters */}
+          <View style={styles.countersPanel}>
+            {myCounterNames.map(name => {
+              const step = gameState.counterKinds[name] ? gameState.counterKinds[name].step : 1;
+              return (
+                <View key={name} style={styles.counterChip}>
+                  <Text style={styles.counterLabel}>{counterLabel(name)}</Text>
+                  <View style={styles.counterControls}>
+                    <TouchableOpacity
+                      style={styles.counterButton}
+                      onPress={() => updateCounter(myPlayer.id, name, -step)}
+                    >
+                      <Text style={styles.counterButtonText}>-</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.counterValue}>{myPlayer.counters[name] || 0}</Text>
+                    <TouchableOpacity
+                      style={styles.counterButton}
+                      onPress={() => updateCounter(myPlayer.id, name, step)}
+                    >
+                      <Text style={styles.counterButtonText}>+</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              );
+            })}
+            <TouchableOpacity style={styles.counterChip} onPress={() => addCustomCounter(myPlayer.id)}>
+              <Text style={styles.counterLabel}>+ Custom</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Only the active player can pass the turn */}
+          {gameState.activePlayerId === myPlayer.id && (
+            <TouchableOpacity style={styles.passTurnButton} onPress={passTurn}>
+              <Text style={styles.passTurnText}>Pass Turn</Text>
+            </TouchableOpacity>
+          )}
         </View>
       )}
 
-      {/* List of other players */}
-      <ScrollView style={styles.playersContainer}>
-        {gameState.players
-          .filter(p => p.id !== myPlayerId) // Don't show current player in list
-          .map(player => (
-            <TouchableOpacity
-              key={player.id}
-              style={[styles.playerCard, { backgroundColor: player.color }]}
-              onPress={() => {
+      {/* SPECTATOR BOARD - Every player shown the same size, read-only */}
+      {isSpectator && (
+        <ScrollView contentContainerStyle={styles.spectatorBoard}>
+          {gameState.seatOrder
+            .map(id => gameState.players.find(p => p.id === id))
+            .filter(Boolean)
+            .map(player => (
+              <View
+                key={player.id}
+                style={[
+                  styles.spectatorCard,
+                  { backgroundColor: player.color },
+                  gameState.activePlayerId === player.id && styles.activePlayerCard,
+                  player.eliminated && styles.eliminatedCard
+                ]}
+              >
+                <Text style={styles.playerName}>
+                  {presenceDot(player)}{player.name}{gameState.hostId === player.id ? ' ★' : ''}
+                </Text>
+                {player.eliminated && <Text style={styles.eliminatedText}>Eliminated</Text>}
+                <Text style={styles.spectatorLife}>{player.life}</Text>
+                {Object.keys(player.counters).length > 0 && (
+                  <Text style={styles.playerCounters}>
+                    {Object.entries(player.counters)
+                      .map(([name, value]) => `${counterLabel(name)} ${value}`)
+                      .join(' · ')}
+                  </Text>
+                )}
+                {listCommanderDamage(player).map(entry => (
+                  <Text key={entry.key} style={styles.damageText}>
+                    {entry.commanderName} ({entry.sourceName}): {entry.damage}
+                  </Text>
+                ))}
+              </View>
+            ))}
+        </ScrollView>
+      )}
+
+      {/* List of other players in turn order */}
+      {!isSpectator && !tabletop && (
+        <ScrollView style={styles.playersContainer}>
+          {otherPlayers
+            .map(player => (
+              <TouchableOpacity
+                key={player.id}
+                style={[
+                  styles.playerCard,
+                  { backgroundColor: player.color },
+                  gameState.activePlayerId === player.id && styles.activePlayerCard,
+                  player.eliminated && styles.eliminatedCard
+                ]}
                 // Tap player to track commander damage to them
-                setSelectedPlayerId(player.id);
-                setShowCommanderDamage(true);
-              }}
-            >
-              <Text style={styles.playerName}>{player.name}</Text>
-              <Text style={styles.playerLife}>{player.life}</Text>
-            </TouchableOpacity>
-          ))}
-      </ScrollView>
+                onPress={() => openCommanderDamage(player.id)}
+                // Host can long-press to remove a player
+                onLongPress={isHost ? () => kickPlayer(player) : undefined}
+              >
+                <View>
+                  <Text style={styles.playerName}>
+                    {presenceDot(player)}{player.name}{gameState.hostId === player.id ? ' ★' : ''}
+                  </Text>
+                  {player.eliminated && <Text style={styles.eliminatedText}>Eliminated</Text>}
+                  {/* Read-only summary of their non-zero counters */}
+                  {Object.keys(player.counters).length > 0 && (
+                    <Text style={styles.playerCounters}>
+                      {Object.entries(player.counters)
+                        .map(([name, value]) => `${counterLabel(name)} ${value}`)
+                        .join(' · ')}
+                    </Text>
+                  )}
+                </View>
+                <View style={styles.playerLifeContainer}>
+                  {/* Opponent life controls - host, or everyone if the room allows it */}
+                  {canEditOpponents && (
+                    <TouchableOpacity style={styles.smallLifeButton} onPress={() => updateLife(player.id, -1)}>
+                      <Text style={styles.counterButtonText}>-</Text>
+                    </TouchableOpacity>
+                  )}
+                  <Text style={styles.playerLife}>{displayLife(player)}</Text>
+                  {canEditOpponents && (
+                    <TouchableOpacity style={styles.smallLifeButton} onPress={() => updateLife(player.id, 1)}>
+                      <Text style={styles.counterButtonText}>+</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </TouchableOpacity>
+            ))}
+        </ScrollView>
+      )}
 
       {/* GAME LOG MODAL - Shows history of all game actions */}
       <Modal visible={showLog} transparent animationType="slide">
@@ -348,23 +1953,213 @@ export default function App() {
           <View style={styles.modalContent}>
             <Text style={styles.modalTitle}>Game Log</Text>
 
-            {/* List of log entries, newest first */}
-            <FlatList
-              data={gameState.gameLog.slice().reverse()} // Reverse to show newest first
-              keyExtractor={(item, index) => index.toString()}
-              renderItem={({ item }) => (
-                <View style={styles.logItem}>
-                  <Text style={styles.logTime}>{item.time}</Text>
-                  <Text style={styles.logMessage}>{item.message}</Text>
-                </View>
-              )}
-              style={styles.logList}
-            />
+            {/* List of log entries, newest first */}
+            <FlatList
+              data={gameState.gameLog.slice().reverse()} // Reverse to show newest first
+              keyExtractor={(item, index) => index.toString()}
+              renderItem={({ item }) => (
+                <View style={styles.logItem}>
+                  {/* When, and who did it */}
+                  <Text style={styles.logTime}>
+                    {formatLogTime(item.time)} · {logPlayerName(item.actorId)}
+                  </Text>
+                  <Text style={styles.logMessage}>{item.message}</Text>
+
+                  {/* Exact values that changed, for settling disputes */}
+                  {(item.before != null || item.after != null) && (
+                    <Text style={styles.logChange}>
+                      {item.targetId ? `${logPlayerName(item.targetId)}: ` : ''}
+                      {formatLogValue(item.before)} → {formatLogValue(item.after)}
+                    </Text>
+                  )}
+                </View>
+              )}
+              style={styles.logList}
+              ListFooterComponent={gameState.gameLogStart > 0 ? (
+                <Text style={styles.settingHint}>
+                  {gameState.gameLogStart} earlier entries are in the exported log
+                </Text>
+              ) : null}
+            />
+
+            {/* Share the whole log as CSV */}
+            <TouchableOpacity
+              style={[styles.modalButton, styles.shareButton]}
+              onPress={shareLog}
+            >
+              <Text style={styles.buttonText}>Export Log</Text>
+            </TouchableOpacity>
+
+            {/* Close button */}
+            <TouchableOpacity
+              style={styles.modalButton}
+              onPress={() => setShowLog(false)}
+            >
+              <Text style={styles.buttonText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* COMMANDER DAMAGE MODAL - Track damage dealt to selected player */}
+      <Modal visible={showCommanderDamage} transparent animationType="slide">
+        {/* Turned to face the tabletop seat that opened it, like that seat's panel */}
+        <RotatedView rotation={damageRotation} style={styles.modalBackground}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              Commander Damage to {selectedPlayer?.name}
+            </Text>
+
+            {/* One control per commander - partners are tracked separately */}
+            <ScrollView style={styles.damageSources}>
+              {selectedPlayer && damageSources.map(source => source.commanders.map((commanderName, index) => (
+                <View key={`${source.id}-${index}`} style={styles.damageControl}>
+                  <Text style={styles.damageLabel}>
+                    From {commanderName}{damageSources.length > 1 ? ` (${source.name})` : ''}:
+                  </Text>
+
+                  {/* Commander damage adjustment controls */}
+                  <View style={styles.damageButtons}>
+                    {/* Decrease damage button */}
+                    <TouchableOpacity
+                      style={styles.damageButton}
+                      onPress={() => {
+                        const current = getCommanderDamage(selectedPlayer, source.id, index);
+                        if (current > 0) {
+                          updateCommanderDamage(source.id, selectedPlayer.id, index, current - 1);
+                        }
+                      }}
+                    >
+                      <Text style={styles.damageButtonText}>-</Text>
+                    </TouchableOpacity>
+
+                    {/* Current damage amount */}
+                    <Text style={styles.damageAmount}>
+                      {getCommanderDamage(selectedPlayer, source.id, index)}
+                    </Text>
+
+                    {/* Increase damage button */}
+                    <TouchableOpacity
+                      style={styles.damageButton}
+                      onPress={() => {
+                        const current = getCommanderDamage(selectedPlayer, source.id, index);
+                        updateCommanderDamage(source.id, selectedPlayer.id, index, current + 1);
+                      }}
+                    >
+                      <Text style={styles.damageButtonText}>+</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )))}
+            </ScrollView>
+
+            {/* Close button */}
+            <TouchableOpacity
+              style={styles.modalButton}
+              onPress={() => setShowCommanderDamage(false)}
+            >
+              <Text style={styles.buttonText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </RotatedView>
+      </Modal>
+
+      {/* SETTINGS MODAL - Host-only room settings */}
+      <Modal visible={showSettings && isHost} transparent animationType="slide">
+        <View style={styles.modalBackground}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Room Settings</Text>
+
+            {/* Starting life (used by the next reset) */}
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Starting Life</Text>
+              <View style={styles.counterControls}>
+                <TouchableOpacity
+                  style={styles.counterButton}
+                  onPress={() => updateSettings({ startingLife: clampSetting('startingLife', gameState.settings.startingLife - 5) })}
+                >
+                  <Text style={styles.counterButtonText}>-</Text>
+                </TouchableOpacity>
+                <Text style={styles.counterValue}>{gameState.settings.startingLife}</Text>
+                <TouchableOpacity
+                  style={styles.counterButton}
+                  onPress={() => updateSettings({ startingLife: clampSetting('startingLife', gameState.settings.startingLife + 5) })}
+                >
+                  <Text style={styles.counterButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {/* Commander damage on/off */}
+            <TouchableOpacity
+              style={styles.settingRow}
+              onPress={() => updateSettings({ commanderDamage: !gameState.settings.commanderDamage })}
+            >
+              <Text style={styles.settingLabel}>Commander Damage</Text>
+              <Text style={styles.settingValue}>{gameState.settings.commanderDamage ? 'On' : 'Off'}</Text>
+            </TouchableOpacity>
+
+            {/* Lethal commander damage threshold */}
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Lethal Cmdr Damage</Text>
+              <View style={styles.counterControls}>
+                <TouchableOpacity
+                  style={styles.counterButton}
+                  onPress={() => updateSettings({ commanderDamageLethal: clampSetting('commanderDamageLethal', gameState.settings.commanderDamageLethal - 1) })}
+                >
+                  <Text style={styles.counterButtonText}>-</Text>
+                </TouchableOpacity>
+                <Text style={styles.counterValue}>{gameState.settings.commanderDamageLethal}</Text>
+                <TouchableOpacity
+                  style={styles.counterButton}
+                  onPress={() => updateSettings({ commanderDamageLethal: clampSetting('commanderDamageLethal', gameState.settings.commanderDamageLethal + 1) })}
+                >
+                  <Text style={styles.counterButtonText}>+</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {/* Who may edit whom and who can read the room only matter on a server */}
+            {!isLocal && (
+              <>
+                {/* Whether non-host players can change opponents' life */}
+                <TouchableOpacity
+                  style={styles.settingRow}
+                  onPress={() => updateSettings({ allowOpponentEdits: !gameState.settings.allowOpponentEdits })}
+                >
+                  <Text style={styles.settingLabel}>Players Edit Opponents</Text>
+                  <Text style={styles.settingValue}>{gameState.settings.allowOpponentEdits ? 'On' : 'Off'}</Text>
+                </TouchableOpacity>
+
+                {/* Keep the room out of the server's public room list */}
+                <TouchableOpacity
+                  style={styles.settingRow}
+                  onPress={() => updateSettings({ hidden: !gameState.settings.hidden })}
+                >
+                  <Text style={styles.settingLabel}>Hide From Room List</Text>
+                  <Text style={styles.settingValue}>{gameState.settings.hidden ? 'On' : 'Off'}</Text>
+                </TouchableOpacity>
+
+                {/* Tools reading the room over HTTP need the token below */}
+                <TouchableOpacity
+                  style={styles.settingRow}
+                  onPress={() => updateSettings({ requireReadToken: !gameState.settings.requireReadToken })}
+                >
+                  <Text style={styles.settingLabel}>Require Read Token</Text>
+                  <Text style={styles.settingValue}>{gameState.settings.requireReadToken ? 'On' : 'Off'}</Text>
+                </TouchableOpacity>
+                {gameState.settings.requireReadToken && (
+                  <Text style={styles.settingHint} selectable>Read token: {readToken}</Text>
+                )}
+              </>
+            )}
+
+            <Text style={styles.settingHint}>Long-press a player to remove them from the game.</Text>
 
             {/* Close button */}
             <TouchableOpacity
               style={styles.modalButton}
-              onPress={() => setShowLog(false)}
+              onPress={() => setShowSettings(false)}
             >
               <Text style={styles.buttonText}>Close</Text>
             </TouchableOpacity>
@@ -372,59 +2167,91 @@ export default function App() {
         </View>
       </Modal>
 
-      {/* COMMANDER DAMAGE MODAL - Track damage dealt to selected player */}
-      <Modal visible={showCommanderDamage} transparent animationType="slide">
+      {serverSettingsModal}
+
+      {/* INVITE MODAL - QR code and link that join this room */}
+      <Modal visible={showInvite} transparent animationType="slide">
         <View style={styles.modalBackground}>
           <View style={styles.modalContent}>
-            <Text style={styles.modalTitle}>
-              Commander Damage to {selectedPlayer?.name}
-            </Text>
-
-            {myPlayer && selectedPlayer && (
-              <View style={styles.damageControl}>
-                <Text style={styles.damageLabel}>From {myPlayer.name}:</Text>
-
-                {/* Commander damage adjustment controls */}
-                <View style={styles.damageButtons}>
-                  {/* Decrease damage button */}
-                  <TouchableOpacity
-                    style={styles.damageButton}
-                    onPress={() => {
-                      const current = (selectedPlayer.commanderDamage && selectedPlayer.commanderDamage[myPlayer.id]) || 0;
-                      if (current > 0) {
-                        updateCommanderDamage(myPlayer.id, selectedPlayer.id, current - 1);
-                      }
-                    }}
-                  >
-                    <Text style={styles.damageButtonText}>-</Text>
-                  </TouchableOpacity>
-
-                  {/* Current damage amount */}
-                  <Text style={styles.damageAmount}>
-                    {(selectedPlayer?.commanderDamage && selectedPlayer.commanderDamage[myPlayer.id]) || 0}
-                  </Text>
+            <Text style={styles.modalTitle}>Join Room {roomCode}</Text>
 
-                  {/* Increase damage button */}
+            {/* Seats from a game that started on one phone - pick whose QR to show */}
+            {invitableSeats.length > 0 && (
+              <View style={styles.formatPicker}>
+                {[{ playerId: null, name: 'New Seat', resumeToken: null }].concat(invitableSeats).map(seat => (
                   <TouchableOpacity
-                    style={styles.damageButton}
-                    onPress={() => {
-                      const current = (selectedPlayer.commanderDamage && selectedPlayer.commanderDamage[myPlayer.id]) || 0;
-                      updateCommanderDamage(myPlayer.id, selectedPlayer.id, current + 1);
-                    }}
+                    key={seat.playerId || 'new'}
+                    style={[styles.formatOption, inviteSeatToken === seat.resumeToken && styles.formatOptionSelected]}
+                    onPress={() => setInviteSeat(seat.resumeToken)}
                   >
-                    <Text style={styles.damageButtonText}>+</Text>
+                    <Text style={styles.formatOptionText}>{seat.name}</Text>
                   </TouchableOpacity>
-                </View>
+                ))}
               </View>
             )}
 
-            {/* Close button */}
+            {/* Drawn by the server (see /rooms/:roomCode/qr), so it shows the address other phones use */}
+            <Image
+              style={styles.qrCode}
+              source={{ uri: `${serverUrl.replace(/^ws/, 'http')}/rooms/${roomCode}/qr?${[
+                gameState.settings.requireReadToken && readToken ? `token=${readToken}` : '',
+                inviteSeatToken ? `seat=${inviteSeatToken}` : '',
+              ].filter(Boolean).join('&')}` }}
+            />
+            <Text style={styles.settingHint} selectable>{buildJoinLink(roomCode, serverUrl, inviteSeatToken)}</Text>
+
+            <TouchableOpacity style={[styles.modalButton, styles.resultButton]} onPress={shareJoinLink}>
+              <Text style={styles.buttonText}>Share Link</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.modalButton} onPress={() => setShowInvite(false)}>
+              <Text style={styles.buttonText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* GAME OVER MODAL - Shows the winner once one player is left */}
+      <Modal visible={showResult && !!gameState.gameOver} transparent animationType="fade">
+        <View style={styles.modalBackground}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Game Over</Text>
+
+            {/* Winner (or draw if everyone went down together) */}
+            <Text style={styles.resultWinner}>
+              {gameState.gameOver && gameState.gameOver.winnerId
+                ? `🏆 ${gameState.players.find(p => p.id === gameState.gameOver.winnerId)?.name} wins!`
+                : 'Draw'}
+            </Text>
+
+            {/* How everyone else went out */}
+            {gameState.players
+              .filter(p => p.eliminated)
+              .map(p => (
+                <Text key={p.id} style={styles.resultLine}>
+                  {p.name} - {ELIMINATION_LABELS[p.eliminationCause]}
+                </Text>
+              ))}
+
+            {/* Keep looking at the board (an undo can bring players back) */}
             <TouchableOpacity
-              style={styles.modalButton}
-              onPress={() => setShowCommanderDamage(false)}
+              style={[styles.modalButton, styles.resultButton]}
+              onPress={() => setShowResult(false)}
             >
-              <Text style={styles.buttonText}>Close</Text>
+              <Text style={styles.buttonText}>Back to Board</Text>
             </TouchableOpacity>
+
+            {/* Start the next game (host only) */}
+            {isHost && (
+              <TouchableOpacity
+                style={styles.modalButton}
+                onPress={() => {
+                  setShowResult(false);
+                  resetGame();
+                }}
+              >
+                <Text style={styles.buttonText}>New Game</Text>
+              </TouchableOpacity>
+            )}
           </View>
         </View>
       </Modal>
@@ -452,6 +2279,12 @@ const styles = StyleSheet.create({
     color: '#fff',
     marginBottom: 50,
   },
+  connectionStatus: {
+    color: '#FECA57',
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 20,
+  },
   // Button styles used throughout app
   button: {
     backgroundColor: '#4ECDC4',
@@ -461,11 +2294,64 @@ const styles = StyleSheet.create({
     minWidth: 200,
     alignItems: 'center',
   },
+  secondaryButton: {
+    backgroundColor: '#3a3a3a',
+  },
   buttonText: {
     color: '#fff',
     fontSize: 18,
     fontWeight: 'bold',
   },
+  // Server line and discovered servers on the menu screen
+  serverText: {
+    color: '#888',
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  serverList: {
+    width: '100%',
+    marginBottom: 15,
+  },
+  serverListTitle: {
+    color: '#888',
+    fontSize: 12,
+    marginBottom: 5,
+  },
+  serverOption: {
+    backgroundColor: '#2a2a2a',
+    padding: 10,
+    borderRadius: 10,
+    marginVertical: 3,
+  },
+  serverOptionDetail: {
+    color: '#888',
+    fontSize: 12,
+  },
+  serverInput: {
+    width: '100%',
+    backgroundColor: '#1a1a1a',
+  },
+  // Format picker on the menu screen
+  formatPicker: {
+    flexDirection: 'row',
+    marginBottom: 10,
+  },
+  formatOption: {
+    backgroundColor: '#2a2a2a',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    marginHorizontal: 4,
+  },
+  formatOptionSelected: {
+    backgroundColor: '#45B7D1',
+  },
+  formatOptionText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   orText: {
     color: '#666',
     fontSize: 16,
@@ -494,6 +2380,14 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
+  qrHint: {
+    color: '#4ECDC4',
+    fontSize: 14,
+  },
+  turnText: {
+    color: '#888',
+    fontSize: 12,
+  },
   headerButtons: {
     flexDirection: 'row',
   },
@@ -504,6 +2398,28 @@ const styles = StyleSheet.create({
     color: '#4ECDC4',
     fontSize: 16,
   },
+  headerButtonDisabled: {
+    color: '#555',
+  },
+  // Banner shown while reconnecting
+  reconnectBanner: {
+    backgroundColor: '#FECA57',
+    padding: 8,
+    alignItems: 'center',
+  },
+  reconnectText: {
+    color: '#1a1a1a',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  degradedBanner: {
+    backgroundColor: '#FF9F43',
+  },
+  // Presence dot before each player's name
+  presenceDot: {
+    textShadowColor: '#000',
+    textShadowRadius: 2,
+  },
   // Current player's card styles
   myPlayerCard: {
     margin: 15,
@@ -511,6 +2427,33 @@ const styles = StyleSheet.create({
     borderRadius: 10,
     alignItems: 'center',
   },
+  // Highlight for whoever's turn it is
+  activePlayerCard: {
+    borderWidth: 4,
+    borderColor: '#fff',
+  },
+  // Eliminated players are greyed out
+  eliminatedCard: {
+    opacity: 0.4,
+  },
+  eliminatedText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+    textTransform: 'uppercase',
+  },
+  passTurnButton: {
+    marginTop: 15,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    paddingVertical: 10,
+    paddingHorizontal: 30,
+    borderRadius: 20,
+  },
+  passTurnText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
   myPlayerName: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -543,6 +2486,12 @@ const styles = StyleSheet.create({
     minWidth: 100,
     textAlign: 'center',
   },
+  commanderNames: {
+    color: '#fff',
+    fontSize: 14,
+    marginTop: -12,
+    marginBottom: 12,
+  },
   // Commander damage display
   damageInfo: {
     marginTop: 15,
@@ -559,6 +2508,51 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontSize: 12,
   },
+  damageLethal: {
+    fontWeight: 'bold',
+  },
+  // Counters panel on my card
+  countersPanel: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginTop: 15,
+  },
+  counterChip: {
+    backgroundColor: 'rgba(0,0,0,0.2)',
+    borderRadius: 8,
+    padding: 6,
+    margin: 4,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  counterLabel: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  counterControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  counterButton: {
+    width: 28,
+    height: 28,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  counterButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  counterValue: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    minWidth: 24,
+    textAlign: 'center',
+  },
   // Other players list
   playersContainer: {
     flex: 1,
@@ -577,11 +2571,100 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#fff',
   },
+  playerCounters: {
+    color: '#fff',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  playerLifeContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  smallLifeButton: {
+    width: 32,
+    height: 32,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginHorizontal: 8,
+  },
   playerLife: {
     fontSize: 36,
     fontWeight: 'bold',
     color: '#fff',
   },
+  // Spectator board - equal-size cards in two columns
+  spectatorBoard: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    padding: 15,
+  },
+  spectatorCard: {
+    width: '48%',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 10,
+    alignItems: 'center',
+  },
+  spectatorLife: {
+    fontSize: 48,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  // Tabletop layout - panels around the edges of one shared tablet
+  tabletop: {
+    flex: 1,
+    padding: 4,
+  },
+  tabletopRow: {
+    flex: 1,
+    flexDirection: 'row',
+  },
+  tabletopColumn: {
+    flex: 1,
+  },
+  tabletopPanel: {
+    flex: 1,
+    margin: 4,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  // Contents of a RotatedView, sized and placed before being turned
+  rotatedContent: {
+    position: 'absolute',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 10,
+  },
+  tabletopLifeButton: {
+    width: 48,
+    height: 48,
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    borderRadius: 24,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginHorizontal: 12,
+  },
+  tabletopLife: {
+    fontSize: 56,
+    fontWeight: 'bold',
+    color: '#fff',
+    minWidth: 80,
+    textAlign: 'center',
+  },
+  tabletopActions: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  tabletopAction: {
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    marginHorizontal: 4,
+  },
   // Modal styles (used for log and commander damage)
   modalBackground: {
     flex: 1,
@@ -610,10 +2693,105 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginTop: 10,
   },
+  // Settings modal styles
+  settingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#3a3a3a',
+  },
+  settingLabel: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  settingValue: {
+    color: '#4ECDC4',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  settingHint: {
+    color: '#888',
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 15,
+  },
+  // Invite modal QR code (white background so scanners can read it)
+  qrCode: {
+    width: 220,
+    height: 220,
+    alignSelf: 'center',
+    backgroundColor: '#fff',
+  },
+  // Game over modal styles
+  resultWinner: {
+    color: '#fff',
+    fontSize: 22,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  resultLine: {
+    color: '#888',
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  resultButton: {
+    backgroundColor: '#45B7D1',
+  },
   // Game log styles
   logList: {
     maxHeight: 300,
   },
+  // Stats modal - our profile, then rows of names and records
+  profileName: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  colorPicker: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+  colorOption: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    marginHorizontal: 5,
+  },
+  colorOptionSelected: {
+    borderWidth: 3,
+    borderColor: '#fff',
+  },
+  statsTab: {
+    backgroundColor: '#3a3a3a',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#3a3a3a',
+  },
+  statsRank: {
+    color: '#888',
+    fontSize: 16,
+    width: 28,
+  },
+  statsName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  statsValue: {
+    color: '#fff',
+    fontSize: 14,
+  },
   logItem: {
     paddingVertical: 8,
     borderBottomWidth: 1,
@@ -628,7 +2806,18 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginTop: 2,
   },
+  logChange: {
+    color: '#4ECDC4',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  shareButton: {
+    backgroundColor: '#45B7D1',
+  },
   // Commander damage modal styles
+  damageSources: {
+    flexGrow: 0,
+  },
   damageControl: {
     alignItems: 'center',
     marginVertical: 20,
@@ -0,0 +1,120 @@
+// Connection to the bigtable server
+// Wraps the WebSocket so the rest of the app never touches it directly:
+//   - send() queues messages until the socket is open, then sends them in order
+//   - a dropped socket reconnects on its own, waiting longer after each failure
+//   - the connection status is reported through onStatusChange:
+//       'idle'         - not connected and not trying to be
+//       'connecting'   - socket is opening
+//       'open'         - ready, messages go straight out
+//       'reconnecting' - waiting before the next attempt
+
+// Reconnect backoff: 1s, 2s, 4s... up to 30s between attempts
+const INITIAL_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Create a connection to `url`
+// handlers:
+//   onOpen()             - socket just opened (runs before queued messages are sent)
+//   onMessage(data)      - parsed message from the server
+//   onStatusChange(s)    - status changed (see above)
+//   shouldReconnect()    - whether to keep retrying with nothing queued (e.g. in a game)
+export function createConnection(url, handlers) {
+  let socket = null;
+  let status = 'idle';
+  let queue = [];
+  let retryDelay = INITIAL_RETRY_DELAY_MS;
+  let retryTimer = null;
+
+  const setStatus = (next) => {
+    if (next === status) return;
+    status = next;
+    handlers.onStatusChange(next);
+  };
+
+  const open = () => {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    setStatus('connecting');
+
+    const current = new WebSocket(url);
+    socket = current;
+
+    current.onopen = () => {
+      retryDelay = INITIAL_RETRY_DELAY_MS;
+      setStatus('open');
+      handlers.onOpen();
+
+      // Anything sent while we were offline goes out now, oldest first
+      const waiting = queue;
+      queue = [];
+      waiting.forEach(message => current.send(message));
+    };
+
+    current.onmessage = (event) => {
+      handlers.onMessage(JSON.parse(event.data));
+    };
+
+    current.onerror = (error) => {
+      // onclose always follows, and handles the retry
+      console.log('WebSocket error:', error.message);
+    };
+
+    current.onclose = () => {
+      // Ignore sockets we already replaced or closed on purpose
+      if (socket !== current) return;
+      socket = null;
+
+      if (queue.length > 0 || handlers.shouldReconnect()) {
+        setStatus('reconnecting');
+        retryTimer = setTimeout(open, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+      } else {
+        setStatus('idle');
+      }
+    };
+  };
+
+  return {
+    // Open the socket if it isn't open or on its way
+    connect() {
+      if (socket) return;
+      open();
+    },
+
+    // Send a message now, or as soon as the socket is open
+    send(message) {
+      const payload = JSON.stringify(message);
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(payload);
+      } else {
+        queue.push(payload);
+        if (!socket) open();
+      }
+    },
+
+    // Send only if the socket is open right now (for heartbeats and the like)
+    // Returns whether it was sent
+    sendIfOpen(message) {
+      if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+      socket.send(JSON.stringify(message));
+      return true;
+    },
+
+    // Close for good - nothing queued is sent and there is no reconnect
+    close() {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      queue = [];
+      if (socket) {
+        const current = socket;
+        socket = null;
+        current.close();
+      }
+      setStatus('idle');
+    },
+
+    getStatus() {
+      return status;
+    },
+  };
+}
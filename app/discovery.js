@@ -0,0 +1,84 @@
+// Finding bigtable servers on the local network
+// Servers broadcast a beacon every few seconds (see backend/discovery.js);
+// we listen for those, and also broadcast a probe on start so servers answer
+// right away instead of on their next beacon.
+// This needs the react-native-udp native module, which Expo Go doesn't have.
+// Without it discovery is simply unavailable and the address is typed in.
+
+// UDP port servers announce themselves on (DISCOVERY_PORT on the server)
+const DISCOVERY_PORT = 41234;
+
+// Forget a server once we've missed about three of its beacons
+const SERVER_TIMEOUT_MS = 15000;
+
+let dgram = null;
+try {
+  dgram = require('react-native-udp').default;
+} catch (error) {
+  console.log('LAN discovery unavailable:', error.message);
+}
+
+// Start looking for servers
+// onChange(servers) is called whenever the list changes, with entries like
+//   { url: 'ws://192.168.1.100:3000', name: 'Game Room PC', rooms: 2 }
+// Returns a function that stops looking, or null if discovery isn't available
+export function startDiscovery(onChange) {
+  if (!dgram) return null;
+
+  let socket;
+  try {
+    socket = dgram.createSocket({ type: 'udp4', reusePort: true });
+  } catch (error) {
+    console.log('LAN discovery unavailable:', error.message);
+    return null;
+  }
+
+  // { url: { url, name, rooms, lastSeen } }
+  const servers = {};
+  const report = () => {
+    onChange(Object.values(servers).map(({ lastSeen, ...server }) => server));
+  };
+
+  socket.on('message', (message, remote) => {
+    let data;
+    try {
+      data = JSON.parse(String(message));
+    } catch (error) {
+      return;  // Not one of ours
+    }
+    if (data.type !== 'BIGTABLE_SERVER' || !data.port) return;
+
+    // The beacon doesn't know our view of the server's address, the packet does
+    const url = `ws://${remote.address}:${data.port}`;
+    const previous = servers[url];
+    const server = { url, name: data.name || remote.address, rooms: data.rooms || 0, lastSeen: Date.now() };
+    servers[url] = server;
+    if (!previous || previous.name !== server.name || previous.rooms !== server.rooms) report();
+  });
+
+  socket.on('error', (error) => {
+    console.log('LAN discovery error:', error.message);
+  });
+
+  socket.once('listening', () => {
+    socket.setBroadcast(true);
+    const probe = JSON.stringify({ type: 'BIGTABLE_DISCOVER' });
+    socket.send(probe, undefined, undefined, DISCOVERY_PORT, '255.255.255.255', (error) => {
+      if (error) console.log('LAN discovery probe failed:', error.message);
+    });
+  });
+  socket.bind(DISCOVERY_PORT);
+
+  // Drop servers that have gone quiet (shut down or left the network)
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    const stale = Object.keys(servers).filter(url => now - servers[url].lastSeen > SERVER_TIMEOUT_MS);
+    stale.forEach(url => delete servers[url]);
+    if (stale.length > 0) report();
+  }, SERVER_TIMEOUT_MS / 3);
+
+  return () => {
+    clearInterval(pruneTimer);
+    socket.close();
+  };
+}
@@ -0,0 +1,87 @@
+// Local games - several players on one phone, no server needed
+// The game is played by the same rules engine the server uses
+// (shared/gameRules.js), so the game screen, log and modals work unchanged.
+// App.js routes messages here instead of to the server while a local game is
+// on: applyLocalAction(game, actorId, message) takes the same messages
+// (UPDATE_LIFE, NEXT_TURN, UNDO...) and returns the updated game.
+// A local game can later be moved to a server with POST /rooms (see toUpload).
+import { gameFormats, buildRoomSettings, createPlayer, counterKinds, summarizeAction, reduce } from '../shared/gameRules';
+import { createLogEntry } from '../shared/gameLog';
+
+// Most players a local game can have for a format
+export const localPlayerLimit = (format) => gameFormats[format].maxPlayers;
+
+// Start a game for `playerCount` players in the given format
+// Local player ids are local1, local2... (the server gives them real ids on upload)
+export function createLocalGame(format, playerCount) {
+  // Room rules default as on the server, so they carry over sensibly if the game is hosted later
+  const { settings } = buildRoomSettings(format);
+  const players = [];
+  for (let i = 0; i < playerCount; i++) {
+    players.push(createPlayer(`local${i + 1}`, i, settings));
+  }
+
+  return {
+    settings,
+    hostId: players[0].id,
+    players,
+    seatOrder: players.map(p => p.id),
+    activePlayerId: players[0].id,
+    turnNumber: 1,
+    gameOver: null,
+    history: { undo: [], redo: [] },
+    gameLog: [createLogEntry(`Local ${format} game for ${playerCount} players`, {
+      actorId: players[0].id,
+      action: 'CREATE_ROOM',
+      after: settings,
+    })],
+  };
+}
+
+// Apply one message to the game, acting as `actorId`
+// Everyone shares the device, so there are no permission checks
+// Returns { game } (a new object when something changed, the same one when not),
+// or { error } with a message to show
+export function applyLocalAction(game, actorId, message) {
+  const { state, events } = reduce(game, { ...message, actorId }, { checkPermissions: false });
+  const error = events.find(event => event.type === 'ERROR');
+  return error ? { error: error.message } : { game: state };
+}
+
+// The game state the game screen expects (same shape as the server's)
+// Everyone is at this table, so every player shows as online
+export function getLocalGameState(game) {
+  return {
+    settings: game.settings,
+    hostId: game.hostId,
+    players: game.players.map(p => ({ ...p, connected: true, presence: 'online', openSeat: false })),
+    seatOrder: game.seatOrder,
+    activePlayerId: game.activePlayerId,
+    turnNumber: game.turnNumber,
+    gameOver: game.gameOver,
+    spectatorCount: 0,
+    history: {
+      undo: summarizeAction(game.history.undo[game.history.undo.length - 1]),
+      redo: summarizeAction(game.history.redo[game.history.redo.length - 1]),
+    },
+    counterKinds,
+    gameLogStart: 0,  // The whole log is on this device
+    gameLog: game.gameLog,
+  };
+}
+
+// Body for POST /rooms, which turns a local game into a hosted room
+// playerId is the seat this device keeps (it becomes the host)
+export function toUpload(game, playerId) {
+  return {
+    playerId,
+    settings: game.settings,
+    players: game.players.map(({ id, name, life, commanders, commanderDamage, counters, eliminated, eliminationCause, eliminatedAt }) =>
+      ({ id, name, life, commanders, commanderDamage, counters, eliminated, eliminationCause, eliminatedAt })),
+    seatOrder: game.seatOrder,
+    activePlayerId: game.activePlayerId,
+    turnNumber: game.turnNumber,
+    gameOver: game.gameOver,
+    gameLog: game.gameLog,
+  };
+}
@@ -0,0 +1,10 @@
+// Metro bundler config
+// The game rules live in ../shared so the server can use them too;
+// Metro only bundles files inside the project unless told about others.
+const path = require('path');
+const { getDefaultConfig } = require('expo/metro-config');
+
+const config = getDefaultConfig(__dirname);
+config.watchFolders = [path.resolve(__dirname, '../shared')];
+
+module.exports = config;
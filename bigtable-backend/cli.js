@@ -0,0 +1,540 @@
+// Terminal client for bigtable rooms
+// Speaks the same WebSocket protocol as the app, for debugging and for playing
+// from a laptop at the table. Two ways to run it:
+//
+//   node cli.js [--server ws://localhost:3000]
+//       Interactive: type commands (see HELP below); the board is redrawn
+//       every time the game changes.
+//
+//   node cli.js --script actions.txt --players 4 [--format commander] [--repeat 1] [--delay 50]
+//       Scripted: N simulated players create and join a room, then the file is
+//       replayed. Each line is a player number and a command, e.g. "2 life 1 -3"
+//       (player 2 takes 3 life off player 1). "wait 500" pauses for 500ms;
+//       blank lines and lines starting with # are skipped. The final board and
+//       a summary are printed at the end, so a script can reproduce a bug or put
+//       load on a local server.
+
+const fs = require('fs');
+const readline = require('readline');
+const WebSocket = require('ws');
+const { applyPatch } = require('./statePatch');
+
+const HELP = `Commands:
+  create [format]               Create a room (commander, brawl or standard)
+  join CODE                     Join a room
+  life PLAYER CHANGE            Change life, e.g. "life me -3" or "life 2 +5"
+  damage SOURCE TARGET TOTAL [2]
+                                Set the total damage SOURCE's commander has dealt
+                                to TARGET (add 2 for their partner)
+  name PLAYER NEW NAME          Rename a player
+  reset                         Reset the game (host only)
+  next                          End the current turn
+  undo                          Undo the last action
+  send JSON                     Send any message, e.g. send {"type":"REDO"}
+  board                         Show the board again
+  help                          Show this list
+  quit                          Leave
+PLAYER is "me", a player's number on the board, or their id (player3).`;
+
+// How long scripted mode waits for the last updates before printing the board
+const SETTLE_MS = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Read --name value options from the command line
+function parseArgs(argv) {
+    const options = {
+        server: `ws://localhost:${process.env.PORT || 3000}`,
+        script: null,
+        players: 2,
+        format: undefined,
+        repeat: 1,
+        delay: 50
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (name === 'help') {
+            options.help = true;
+            continue;
+        }
+        if (!options.hasOwnProperty(name) || argv[i + 1] === undefined) {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+        const value = argv[++i];
+        options[name] = ['players', 'repeat', 'delay'].includes(name) ? parseInt(value, 10) : value;
+    }
+
+    // Accept a bare host:port, like the app's server setting
+    if (!/^wss?:\/\//.test(options.server)) {
+        options.server = `ws://${options.server}`;
+    }
+    if (!(options.players >= 1 && options.players <= 6)) {
+        throw new Error('--players must be between 1 and 6');
+    }
+    return options;
+}
+
+// Connect to the server and keep an up-to-date copy of the room's game state
+// handlers (all optional):
+//   onState()         - the game state changed
+//   onMessage(data)   - any other message (ERROR, GAME_OVER, KICKED...)
+//   onClose()         - the connection closed
+function createClient(url, handlers = {}) {
+    const ws = new WebSocket(url);
+    let waiters = [];
+
+    const client = {
+        roomCode: null,
+        playerId: null,
+        version: null,
+        state: null,
+        sent: 0,
+        errors: 0,
+
+        // Resolves once the socket is open
+        ready: new Promise((resolve, reject) => {
+            ws.once('open', resolve);
+            ws.once('error', reject);
+        }),
+
+        send(message) {
+            ws.send(JSON.stringify(message));
+            client.sent++;
+        },
+
+        // Resolve with the next message of one of `types` (rejects if an ERROR comes first)
+        waitFor(...types) {
+            return new Promise((resolve, reject) => waiters.push({ types, resolve, reject }));
+        },
+
+        close() {
+            ws.close();
+        }
+    };
+
+    const setState = (version, state) => {
+        client.version = version;
+        client.state = state;
+        if (handlers.onState) handlers.onState();
+    };
+
+    ws.on('message', (raw) => {
+        const data = JSON.parse(raw);
+
+        switch (data.type) {
+            case 'ROOM_CREATED':
+            case 'ROOM_JOINED':
+            case 'ROOM_RESUMED':
+                client.roomCode = data.roomCode;
+                client.playerId = data.playerId;
+                setState(data.version, data.gameState);
+                break;
+
+            case 'STATE_SYNC':
+                setState(data.version, data.gameState);
+                break;
+
+            case 'STATE_PATCH':
+                // Same version rules as the app: skip old patches, resync after a gap
+                if (client.version === null || data.version <= client.version) break;
+                if (data.version !== client.version + 1) {
+                    client.version = null;
+                    client.send({ type: 'REQUEST_SYNC' });
+                    break;
+                }
+                setState(data.version, applyPatch(client.state, data.ops));
+                break;
+
+            default:
+                if (data.type === 'ERROR') client.errors++;
+                if (handlers.onMessage) handlers.onMessage(data);
+                break;
+        }
+
+        const pending = waiters;
+        waiters = [];
+        pending.forEach(waiter => {
+            if (waiter.types.includes(data.type)) {
+                waiter.resolve(data);
+            } else if (data.type === 'ERROR') {
+                waiter.reject(new Error(`${data.code}: ${data.message}`));
+            } else {
+                waiters.push(waiter);
+            }
+        });
+    });
+
+    ws.on('close', () => {
+        if (handlers.onClose) handlers.onClose();
+    });
+    ws.on('error', (error) => {
+        // Failing to connect at all is reported through `ready`
+        if (ws.readyState !== WebSocket.CONNECTING) {
+            console.error('Connection error:', error.message);
+        }
+    });
+
+    return client;
+}
+
+// Find a player by "me", their number on the board (join order) or their id
+// Returns the player's id, or null if there's no such player
+function resolvePlayer(client, ref) {
+    if (!client.state || ref === undefined) return null;
+    const players = client.state.players;
+
+    if (ref === 'me') return client.playerId;
+    if (/^\d+$/.test(ref)) {
+        const player = players[parseInt(ref, 10) - 1];
+        return player ? player.id : null;
+    }
+    return players.some(p => p.id === ref) ? ref : null;
+}
+
+// Turn a typed command into a protocol message
+// Returns { message } to send, { local } for commands handled here
+// (board, help, quit), { error } for a bad command, or null for a blank line
+function parseCommand(line, client) {
+    const [command, ...args] = line.trim().split(/\s+/);
+    if (!command) return null;
+
+    switch (command.toLowerCase()) {
+        case 'create':
+            return { message: { type: 'CREATE_ROOM', format: args[0] } };
+
+        case 'join':
+            if (!args[0]) return { error: 'Usage: join CODE' };
+            return { message: { type: 'JOIN_ROOM', roomCode: args[0].toUpperCase() } };
+
+        case 'life': {
+            const delta = Number(args[1]);
+            if (!Number.isInteger(delta)) return { error: 'Usage: life PLAYER CHANGE' };
+            const playerId = resolvePlayer(client, args[0]);
+            if (!playerId) return { error: `Unknown player: ${args[0]}` };
+            return { message: { type: 'UPDATE_LIFE', playerId: playerId, delta: delta } };
+        }
+
+        case 'damage': {
+            const damage = Number(args[2]);
+            const commander = args[3] === undefined ? 1 : Number(args[3]);
+            if (!Number.isInteger(damage) || ![1, 2].includes(commander)) {
+                return { error: 'Usage: damage SOURCE TARGET TOTAL [2]' };
+            }
+            const sourcePlayerId = resolvePlayer(client, args[0]);
+            const targetPlayerId = resolvePlayer(client, args[1]);
+            if (!sourcePlayerId) return { error: `Unknown player: ${args[0]}` };
+            if (!targetPlayerId) return { error: `Unknown player: ${args[1]}` };
+            return {
+                message: {
+                    type: 'UPDATE_COMMANDER_DAMAGE',
+                    sourcePlayerId: sourcePlayerId,
+                    targetPlayerId: targetPlayerId,
+                    commander: commander - 1,
+                    damage: damage
+                }
+            };
+        }
+
+        case 'name': {
+            if (args.length < 2) return { error: 'Usage: name PLAYER NEW NAME' };
+            const playerId = resolvePlayer(client, args[0]);
+            if (!playerId) return { error: `Unknown player: ${args[0]}` };
+            return { message: { type: 'UPDATE_NAME', playerId: playerId, name: args.slice(1).join(' ') } };
+        }
+
+        case 'reset':
+            return { message: { type: 'RESET_GAME' } };
+
+        case 'next':
+            return { message: { type: 'NEXT_TURN' } };
+
+        case 'undo':
+            return { message: { type: 'UNDO' } };
+
+        case 'send':
+            try {
+                return { message: JSON.parse(line.trim().slice(command.length)) };
+            } catch (error) {
+                return { error: `Not valid JSON: ${error.message}` };
+            }
+
+        case 'board':
+        case 'help':
+        case 'quit':
+        case 'exit':
+            return { local: command.toLowerCase() };
+
+        default:
+            return { error: `Unknown command: ${command} (type "help" for the list)` };
+    }
+}
+
+// Draw the game as text: one line per player in seat order, then the latest log line
+function renderBoard(client) {
+    const state = client.state;
+    if (!state) return 'Not in a room - "create" one or "join CODE"';
+
+    const lines = [`Room ${client.roomCode} - ${state.settings.format} - turn ${state.turnNumber}`];
+    state.seatOrder.forEach(id => {
+        const player = state.players.find(p => p.id === id);
+        if (!player) return;
+        const number = state.players.indexOf(player) + 1;
+
+        const tags = [];
+        if (id === client.playerId) tags.push('you');
+        if (id === state.hostId) tags.push('host');
+        if (player.openSeat) tags.push('open seat');
+        else if (player.presence !== 'online') tags.push(player.presence);
+        if (player.eliminated) tags.push(`out: ${player.eliminationCause}`);
+
+        const turn = id === state.activePlayerId ? '▶' : ' ';
+        const tagText = tags.length > 0 ? `  (${tags.join(', ')})` : '';
+        lines.push(`${turn} [${number}] ${player.name.padEnd(24)} ${String(player.life).padStart(4)}${tagText}`);
+
+        // Commander damage taken and counters, when there are any
+        const details = [];
+        Object.entries(player.commanderDamage).forEach(([sourceId, fromSource]) => {
+            const source = state.players.find(p => p.id === sourceId);
+            Object.entries(fromSource).forEach(([index, damage]) => {
+                if (damage > 0) {
+                    const commander = source ? source.commanders[index] : `commander ${Number(index) + 1}`;
+                    details.push(`${commander} ${damage}`);
+                }
+            });
+        });
+        Object.entries(player.counters).forEach(([counter, value]) => {
+            const kind = state.counterKinds[counter];
+            details.push(`${kind ? kind.label : counter} ${value}`);
+        });
+        if (details.length > 0) {
+            lines.push(`        ${details.join(', ')}`);
+        }
+    });
+
+    if (state.gameOver) {
+        const winner = state.players.find(p => p.id === state.gameOver.winnerId);
+        lines.push(winner ? `Game over - ${winner.name} wins` : 'Game over - draw');
+    }
+    const lastEntry = state.gameLog[state.gameLog.length - 1];
+    if (lastEntry) lines.push(`Last: ${lastEntry.message}`);
+    return lines.join('\n');
+}
+
+// One line for a message that isn't a state update (null to show nothing)
+function describeMessage(data) {
+    switch (data.type) {
+        case 'ERROR':
+            return `Error (${data.code}): ${data.message}`;
+        case 'GAME_OVER':
+            return 'Game over!';
+        case 'KICKED':
+        case 'ROOM_CLOSED':
+        case 'RESUME_FAILED':
+            return data.message;
+        default:
+            return null;
+    }
+}
+
+// Interactive mode: read commands, show the board as it changes
+async function runInteractive(options) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+
+    // Print above the prompt without losing what's being typed
+    const print = (text) => {
+        readline.clearLine(process.stdout, 0);
+        readline.cursorTo(process.stdout, 0);
+        console.log(text);
+        rl.prompt(true);
+    };
+
+    const client = createClient(options.server, {
+        onState: () => print(`\n${renderBoard(client)}`),
+        onMessage: (data) => {
+            const text = describeMessage(data);
+            if (text) print(text);
+        },
+        onClose: () => {
+            print('Disconnected from server');
+            process.exit(1);
+        }
+    });
+
+    const finish = () => {
+        client.close();
+        process.exit(0);
+    };
+
+    // Run one command; returns false once it's time to quit
+    const runLine = (line) => {
+        const result = parseCommand(line, client);
+        if (result && result.error) {
+            console.log(result.error);
+        } else if (result && result.message) {
+            client.send(result.message);
+        } else if (result && result.local === 'board') {
+            console.log(renderBoard(client));
+        } else if (result && result.local === 'help') {
+            console.log(HELP);
+        } else if (result && (result.local === 'quit' || result.local === 'exit')) {
+            return false;
+        }
+        return true;
+    };
+
+    // Lines typed (or piped in) before the connection is up wait here,
+    // and so does the end of the input
+    let connected = false;
+    let inputEnded = false;
+    const waiting = [];
+
+    rl.on('line', (line) => {
+        if (!connected) {
+            waiting.push(line);
+        } else if (runLine(line)) {
+            rl.prompt();
+        } else {
+            rl.close();
+        }
+    });
+
+    rl.on('close', () => {
+        if (!connected) {
+            inputEnded = true;
+            return;
+        }
+        finish();
+    });
+
+    try {
+        await client.ready;
+    } catch (error) {
+        console.error(`Could not connect to ${options.server}: ${error.message}`);
+        process.exit(1);
+    }
+    connected = true;
+    console.log(`Connected to ${options.server} - type "help" for commands`);
+
+    for (const line of waiting) {
+        if (!runLine(line)) {
+            finish();
+            return;
+        }
+    }
+    if (inputEnded) {
+        finish();
+        return;
+    }
+    rl.prompt();
+}
+
+// Read a script into steps: { line, seat, command } or { line, wait }
+function loadScript(file, playerCount) {
+    const steps = [];
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((text, index) => {
+        const line = index + 1;
+        const trimmed = text.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        const [first, ...rest] = trimmed.split(/\s+/);
+        if (first === 'wait') {
+            const ms = Number(rest[0]);
+            if (!Number.isInteger(ms) || ms < 0) throw new Error(`Line ${line}: wait needs a number of milliseconds`);
+            steps.push({ line, wait: ms });
+            return;
+        }
+
+        const seat = Number(first);
+        if (!Number.isInteger(seat) || seat < 1 || seat > playerCount) {
+            throw new Error(`Line ${line}: start with a player number from 1 to ${playerCount}`);
+        }
+        steps.push({ line, seat, command: rest.join(' ') });
+    });
+    return steps;
+}
+
+// Scripted mode: simulated players replay a file of commands
+async function runScript(options) {
+    const steps = loadScript(options.script, options.players);
+
+    // Player 1 creates the room, the rest join in order
+    const clients = [];
+    for (let i = 0; i < options.players; i++) {
+        const client = createClient(options.server, {
+            onMessage: (data) => {
+                if (data.type === 'ERROR') console.log(`Player ${i + 1}: ${describeMessage(data)}`);
+            }
+        });
+        await client.ready;
+        if (i === 0) {
+            client.send({ type: 'CREATE_ROOM', format: options.format });
+            await client.waitFor('ROOM_CREATED');
+        } else {
+            client.send({ type: 'JOIN_ROOM', roomCode: clients[0].roomCode });
+            await client.waitFor('ROOM_JOINED');
+        }
+        clients.push(client);
+    }
+    console.log(`Room ${clients[0].roomCode} with ${options.players} players`);
+
+    const started = Date.now();
+    for (let round = 0; round < options.repeat; round++) {
+        for (const step of steps) {
+            if (step.wait !== undefined) {
+                await sleep(step.wait);
+                continue;
+            }
+
+            const client = clients[step.seat - 1];
+            const result = parseCommand(step.command, client);
+            if (!result || !result.message) {
+                throw new Error(`Line ${step.line}: ${result && result.error ? result.error : 'not a game command'}`);
+            }
+            client.send(result.message);
+            if (options.delay > 0) await sleep(options.delay);
+        }
+    }
+    const elapsed = Date.now() - started;
+
+    // Let the last updates arrive, then show where the game ended up
+    await sleep(SETTLE_MS);
+    console.log(renderBoard(clients[0]));
+
+    const sent = clients.reduce((total, client) => total + client.sent, 0);
+    const errors = clients.reduce((total, client) => total + client.errors, 0);
+    console.log(`${sent} messages sent in ${elapsed}ms (${Math.round(sent / (elapsed / 1000 || 1))}/s), ${errors} errors, state version ${clients[0].version}`);
+
+    clients.forEach(client => client.close());
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log('Usage: node cli.js [--server ws://host:port]');
+        console.log('       node cli.js --script FILE [--players N] [--format NAME] [--repeat N] [--delay MS]\n');
+        console.log(HELP);
+        return;
+    }
+
+    if (options.script) {
+        try {
+            await runScript(options);
+        } catch (error) {
+            console.error(error.message);
+            process.exit(1);
+        }
+        process.exit(0);
+    } else {
+        await runInteractive(options);
+    }
+}
+
+main();
@@ -0,0 +1,82 @@
+// LAN discovery for the bigtable server
+// Lets the app find servers on the same WiFi without anyone typing an IP address.
+// Two ways, both over UDP on DISCOVERY_PORT:
+//   - every few seconds the server broadcasts a beacon to the whole network
+//   - an app can broadcast { type: 'BIGTABLE_DISCOVER' } and servers answer it directly
+// A beacon looks like { type: 'BIGTABLE_SERVER', name, port, rooms }.
+// The address isn't in the beacon - the app takes it from where the packet came from.
+
+const dgram = require('dgram');
+const os = require('os');
+
+// UDP port beacons and probes use (the app listens on the same one)
+const DEFAULT_DISCOVERY_PORT = 41234;
+
+// How often to broadcast a beacon
+const BEACON_INTERVAL_MS = 5000;
+
+// Start broadcasting and answering probes, using environment settings:
+//   DISCOVERY=off    - don't announce the server at all
+//   DISCOVERY_PORT   - UDP port (default 41234)
+//   SERVER_NAME      - shown in the app's server list (default: the computer's name)
+// options:
+//   port        - the HTTP/WebSocket port the app should connect to
+//   getRooms()  - number of listed rooms, included in each beacon
+// Returns a function that stops discovery
+function startDiscovery(env, options) {
+    if (env.DISCOVERY === 'off') return () => {};
+
+    const discoveryPort = parseInt(env.DISCOVERY_PORT, 10) || DEFAULT_DISCOVERY_PORT;
+    const name = env.SERVER_NAME || os.hostname();
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    const beacon = () => Buffer.from(JSON.stringify({
+        type: 'BIGTABLE_SERVER',
+        name: name,
+        port: Number(options.port),
+        rooms: options.getRooms()
+    }));
+
+    // Answer probes straight back to whoever asked
+    socket.on('message', (message, remote) => {
+        try {
+            const data = JSON.parse(message);
+            if (data.type === 'BIGTABLE_DISCOVER') {
+                socket.send(beacon(), remote.port, remote.address);
+            }
+        } catch (error) {
+            // Not one of ours - other apps may use the same port
+        }
+    });
+
+    // Stop once, whether from an error or on shutdown (closing twice throws)
+    let timer = null;
+    let closed = false;
+    const stop = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(timer);
+        socket.close();
+    };
+
+    // Discovery is a convenience; the server keeps running without it
+    socket.on('error', (error) => {
+        console.error('Discovery stopped:', error.message);
+        stop();
+    });
+
+    socket.bind(discoveryPort, () => {
+        socket.setBroadcast(true);
+        timer = setInterval(() => {
+            socket.send(beacon(), discoveryPort, '255.255.255.255');
+        }, BEACON_INTERVAL_MS);
+        console.log(`Announcing server on UDP port ${discoveryPort}`);
+    });
+
+    return stop;
+}
+
+module.exports = {
+    DEFAULT_DISCOVERY_PORT,
+    startDiscovery
+};
@@ -0,0 +1,314 @@
+// Message schemas for the bigtable WebSocket protocol
+// Every message a client sends is checked here before the server acts on it.
+// Each schema lists the fields a message type may carry:
+//   type      - 'string', 'integer', 'boolean', 'object' or 'array'
+//   required  - field must be present
+//   min/max   - range for integers, length for strings and arrays
+//   pattern   - regex a string must match
+//   fields    - nested schema for objects
+//   items     - schema for each array item
+// Fields not listed in a schema are ignored.
+
+// Player IDs look like "player12" (see generatePlayerId)
+const PLAYER_ID = { type: 'string', required: true, pattern: /^player\d{1,9}$/ };
+
+// Room codes are 6 uppercase letters/numbers
+const ROOM_CODE = { type: 'string', required: true, pattern: /^[A-Z0-9]{6}$/ };
+
+// Names can't be blank or contain control characters
+const NAME_PATTERN = /^(?=.*\S)[^\u0000-\u001F\u007F]+$/;
+
+// Player profiles have a random id and a secret token (see POST /profiles)
+const PROFILE_ID = { type: 'string', required: true, pattern: /^[a-f0-9]{16}$/ };
+const PROFILE_TOKEN = { type: 'string', required: true, pattern: /^[a-f0-9]{32}$/ };
+
+// Room settings, shared by CREATE_ROOM and UPDATE_SETTINGS
+// (shared/gameRules.js still checks these against the chosen format)
+const SETTINGS_FIELDS = {
+    startingLife: { type: 'integer', min: 1, max: 999 },
+    maxPlayers: { type: 'integer', min: 1, max: 6 },
+    commanderDamage: { type: 'boolean' },
+    commanderDamageLethal: { type: 'integer', min: 1, max: 99 },
+    allowOpponentEdits: { type: 'boolean' },
+    hidden: { type: 'boolean' },
+    requireReadToken: { type: 'boolean' }
+};
+
+const messageSchemas = {
+    CREATE_ROOM: {
+        format: { type: 'string', max: 20 },
+        settings: { type: 'object', fields: SETTINGS_FIELDS }
+    },
+    JOIN_ROOM: {
+        roomCode: ROOM_CODE
+    },
+    JOIN_AS_SPECTATOR: {
+        roomCode: ROOM_CODE,
+        // Needed when the room's requireReadToken setting is on
+        readToken: { type: 'string', max: 64 }
+    },
+    RESUME: {
+        roomCode: ROOM_CODE,
+        resumeToken: { type: 'string', required: true, pattern: /^[a-f0-9]{32}$/ }
+    },
+    // Play this seat as a saved profile, so its results count toward the profile's stats
+    LINK_PROFILE: {
+        profileId: PROFILE_ID,
+        profileToken: PROFILE_TOKEN
+    },
+    UPDATE_LIFE: {
+        playerId: PLAYER_ID,
+        // Signed change, applied to the server's current total
+        delta: { type: 'integer', required: true, min: -999, max: 999 }
+    },
+    SET_LIFE: {
+        playerId: PLAYER_ID,
+        // Life never goes below 0, same as deltas and commander damage
+        life: { type: 'integer', required: true, min: 0, max: 9999 }
+    },
+    UPDATE_COMMANDER_DAMAGE: {
+        sourcePlayerId: PLAYER_ID,
+        targetPlayerId: PLAYER_ID,
+        // Which of the source's commanders (0, or 1 for a partner)
+        commander: { type: 'integer', min: 0, max: 1 },
+        damage: { type: 'integer', required: true, min: 0, max: 999 }
+    },
+    UPDATE_COUNTER: {
+        playerId: PLAYER_ID,
+        // Built-in kinds (poison, commanderTax...) or a custom name like "Rad"
+        counter: { type: 'string', required: true, pattern: /^[A-Za-z0-9][A-Za-z0-9 ]{0,19}$/ },
+        // Signed change, applied to the server's current value (like UPDATE_LIFE)
+        delta: { type: 'integer', required: true, min: -999, max: 999 }
+    },
+    UPDATE_NAME: {
+        playerId: PLAYER_ID,
+        name: { type: 'string', required: true, min: 1, max: 24, pattern: NAME_PATTERN }
+    },
+    SET_COMMANDERS: {
+        playerId: PLAYER_ID,
+        commanders: {
+            type: 'array',
+            required: true,
+            min: 1,
+            max: 2,
+            items: { type: 'string', min: 1, max: 40, pattern: NAME_PATTERN }
+        }
+    },
+    RESET_GAME: {},
+    NEXT_TURN: {},
+    PASS_TURN_TO: {
+        playerId: PLAYER_ID
+    },
+    SET_SEAT_ORDER: {
+        seatOrder: { type: 'array', required: true, min: 1, max: 6, items: PLAYER_ID }
+    },
+    KICK_PLAYER: {
+        playerId: PLAYER_ID
+    },
+    UPDATE_SETTINGS: {
+        settings: { type: 'object', required: true, fields: SETTINGS_FIELDS }
+    },
+    UNDO: {},
+    REDO: {},
+    REQUEST_SYNC: {},
+    LEAVE_ROOM: {},
+    PING: {}
+};
+
+// Player IDs in a game played on one phone (see app/localGame.js)
+const LOCAL_PLAYER_ID = { type: 'string', required: true, pattern: /^local\d{1,9}$/ };
+
+// One entry of an uploaded game log (see shared/gameLog.js)
+// before, after and detail hold whatever the action logged, so only their size is limited
+const LOG_ENTRY_FIELDS = {
+    time: { type: 'string', required: true, max: 40, pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/ },
+    actorId: { ...LOCAL_PLAYER_ID, required: false },
+    action: { type: 'string', max: 40, pattern: /^[A-Z_]+$/ },
+    targetId: { ...LOCAL_PLAYER_ID, required: false },
+    before: { type: 'json', max: 1000 },
+    after: { type: 'json', max: 1000 },
+    detail: { type: 'json', max: 1000 },
+    message: { type: 'string', required: true, min: 1, max: 300 }
+};
+
+// Body of POST /rooms, which moves a local game onto the server
+// (server.js checks that the ids in it fit together)
+const localGameSchema = {
+    playerId: LOCAL_PLAYER_ID,
+    settings: {
+        type: 'object',
+        required: true,
+        fields: { format: { type: 'string', required: true, max: 20 }, ...SETTINGS_FIELDS }
+    },
+    players: {
+        type: 'array',
+        required: true,
+        min: 1,
+        max: 6,
+        items: {
+            type: 'object',
+            fields: {
+                id: LOCAL_PLAYER_ID,
+                name: { type: 'string', required: true, min: 1, max: 24, pattern: NAME_PATTERN },
+                life: { type: 'integer', required: true, min: 0, max: 9999 },
+                commanders: {
+                    type: 'array',
+                    required: true,
+                    min: 1,
+                    max: 2,
+                    items: { type: 'string', min: 1, max: 40, pattern: NAME_PATTERN }
+                },
+                commanderDamage: { type: 'object', required: true },
+                counters: { type: 'object', required: true },
+                eliminated: { type: 'boolean', required: true },
+                eliminationCause: { type: 'string', pattern: /^(life|commander|poison)$/ },
+                // Position in gameLog when they went out (the log comes along unchanged)
+                eliminatedAt: { type: 'integer', min: 0, max: 10000 }
+            }
+        }
+    },
+    seatOrder: { type: 'array', required: true, min: 1, max: 6, items: LOCAL_PLAYER_ID },
+    activePlayerId: LOCAL_PLAYER_ID,
+    turnNumber: { type: 'integer', required: true, min: 1, max: 99999 },
+    // winnerId is null (or missing) for a draw
+    gameOver: { type: 'object', fields: { winnerId: { ...LOCAL_PLAYER_ID, required: false } } },
+    gameLog: { type: 'array', required: true, max: 10000, items: { type: 'object', fields: LOG_ENTRY_FIELDS } }
+};
+
+// Body of POST /profiles (name required) and PATCH /profiles/:profileId (either field)
+// (server.js checks the color is one of the player colors)
+const PROFILE_FIELDS = {
+    name: { type: 'string', min: 1, max: 24, pattern: NAME_PATTERN },
+    color: { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/ }
+};
+const profileSchema = {
+    ...PROFILE_FIELDS,
+    name: { ...PROFILE_FIELDS.name, required: true }
+};
+
+// Check one value against its field schema
+// Returns an error message, or null if the value is fine
+function checkValue(value, schema, field) {
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${field} must be text`;
+            if (schema.min !== undefined && value.length < schema.min) return `${field} is too short`;
+            if (schema.max !== undefined && value.length > schema.max) return `${field} is too long`;
+            if (schema.pattern && !schema.pattern.test(value)) return `${field} is not valid`;
+            return null;
+
+        case 'integer':
+            if (!Number.isInteger(value)) return `${field} must be a whole number`;
+            if (schema.min !== undefined && value < schema.min) return `${field} must be at least ${schema.min}`;
+            if (schema.max !== undefined && value > schema.max) return `${field} must be at most ${schema.max}`;
+            return null;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') return `${field} must be true or false`;
+            return null;
+
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return `${field} must be an object`;
+            return null;
+
+        // Any JSON value, up to max characters once written out
+        case 'json':
+            if (schema.max !== undefined && JSON.stringify(value).length > schema.max) return `${field} is too large`;
+            return null;
+
+        case 'array':
+            if (!Array.isArray(value)) return `${field} must be a list`;
+            if (schema.min !== undefined && value.length < schema.min) return `${field} has too few items`;
+            if (schema.max !== undefined && value.length > schema.max) return `${field} has too many items`;
+            return null;
+
+        default:
+            return `${field} has an unknown type`;
+    }
+}
+
+// Check an object's fields against a schema, recursing into objects and arrays
+// Returns { field, message } for the first problem found, or null
+function checkFields(data, fields, prefix) {
+    for (const [name, schema] of Object.entries(fields)) {
+        const field = prefix ? `${prefix}.${name}` : name;
+        const value = data[name];
+
+        if (value === undefined || value === null) {
+            if (schema.required) return { field, message: `${field} is required` };
+            continue;
+        }
+
+        const message = checkValue(value, schema, field);
+        if (message) return { field, message };
+
+        if (schema.type === 'object' && schema.fields) {
+            const nested = checkFields(value, schema.fields, field);
+            if (nested) return nested;
+        }
+
+        if (schema.type === 'array' && schema.items) {
+            for (let i = 0; i < value.length; i++) {
+                const itemMessage = checkValue(value[i], schema.items, `${field}[${i}]`);
+                if (itemMessage) return { field: `${field}[${i}]`, message: itemMessage };
+
+                if (schema.items.type === 'object' && schema.items.fields) {
+                    const nested = checkFields(value[i], schema.items.fields, `${field}[${i}]`);
+                    if (nested) return nested;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// Validate a parsed client message
+// Returns null if it's fine, or { code, field, message } to send back as an ERROR
+function validateMessage(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { code: 'INVALID_MESSAGE', field: null, message: 'Message must be a JSON object' };
+    }
+
+    if (typeof data.type !== 'string' || !messageSchemas.hasOwnProperty(data.type)) {
+        return { code: 'UNKNOWN_TYPE', field: 'type', message: `Unknown message type: ${data.type}` };
+    }
+
+    const problem = checkFields(data, messageSchemas[data.type], '');
+    if (problem) {
+        return { code: 'INVALID_FIELD', field: problem.field, message: problem.message };
+    }
+
+    return null;
+}
+
+// Validate an HTTP request body against a schema
+// Returns null if it's fine, or { code, field, message } for the error response
+function validateBody(data, schema) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { code: 'INVALID_MESSAGE', field: null, message: 'Body must be a JSON object' };
+    }
+
+    const problem = checkFields(data, schema, '');
+    if (problem) {
+        return { code: 'INVALID_FIELD', field: problem.field, message: problem.message };
+    }
+
+    return null;
+}
+
+// Validate the body of POST /rooms
+function validateLocalGame(data) {
+    return validateBody(data, localGameSchema);
+}
+
+// Validate the body of POST /profiles, or of PATCH /profiles/:profileId if isUpdate
+function validateProfile(data, isUpdate = false) {
+    return validateBody(data, isUpdate ? PROFILE_FIELDS : profileSchema);
+}
+
+module.exports = {
+    messageSchemas,
+    validateMessage,
+    validateLocalGame,
+    validateProfile
+};
@@ -0,0 +1,204 @@
+// Room storage for the bigtable server
+// The server keeps rooms in memory and tells the store about every change.
+// A store only has to do three things:
+//   load()                 -> { roomCode: room } saved from a previous run
+//   save(roomCode, room)   -> remember the latest state of a room
+//   remove(roomCode)       -> forget a room once it's empty
+// Rooms passed to save() are plain data (no sockets, timers or undo history).
+
+const fs = require('fs');
+const path = require('path');
+const { diffState, applyPatch } = require('./statePatch');
+
+// Default store: nothing is written, rooms are lost on restart
+function createMemoryStore() {
+    return {
+        load() {
+            return {};
+        },
+        save() {},
+        remove() {}
+    };
+}
+
+// The journal is folded into the snapshot once it's bigger than the snapshot
+// (but never before it reaches this many bytes), so it stays a fraction of
+// the saved rooms however long the games run
+const COMPACT_MIN_BYTES = 1024 * 1024;
+
+// File store: a JSON snapshot plus an append-only journal of changes
+// A room's first save is written out in full; after that each save is one
+// journal line holding only what changed (a patch, see statePatch.js), so a
+// crash loses at most the line being written. On load the journal is
+// replayed over the snapshot.
+// Lines are numbered, and the snapshot records the last line it includes,
+// so lines already in the snapshot are skipped.
+function createFileStore(directory) {
+    const snapshotFile = path.join(directory, 'rooms.json');
+    const journalFile = path.join(directory, 'rooms.journal');
+    // A restarted journal, until the old one has finished writing
+    const nextJournalFile = `${journalFile}.next`;
+
+    // Rooms as last written, used to work out patches and rebuild the snapshot
+    let rooms = {};
+    let sequence = 0;
+    let snapshotBytes = 0;
+    let journalBytes = 0;
+    let journal = null;
+    let restarting = false;
+
+    fs.mkdirSync(directory, { recursive: true });
+
+    // Journal lines are written in the background so saving never holds up a game
+    // Opened here rather than by the stream so the file exists before any rename
+    function openJournal(file, flags) {
+        const stream = fs.createWriteStream(null, { fd: fs.openSync(file, flags) });
+        stream.on('error', error => {
+            console.error('Error writing room journal:', error);
+        });
+        journalBytes = 0;
+        return stream;
+    }
+
+    // Write the full snapshot and start a fresh journal
+    // Written to a temp file first so a crash can't leave half a snapshot.
+    // The old journal may still be writing lines, so the new one starts under
+    // another name and only replaces it once the old one has finished.
+    function compact() {
+        if (restarting) return;
+
+        const tempFile = `${snapshotFile}.tmp`;
+        const snapshot = JSON.stringify({ sequence: sequence, rooms: rooms });
+        fs.writeFileSync(tempFile, snapshot);
+        fs.renameSync(tempFile, snapshotFile);
+        snapshotBytes = Buffer.byteLength(snapshot);
+
+        const oldJournal = journal;
+        journal = openJournal(nextJournalFile, 'w');
+        restarting = true;
+        const replace = () => {
+            try {
+                fs.renameSync(nextJournalFile, journalFile);
+            } catch (error) {
+                console.error('Error restarting room journal:', error);
+            }
+            restarting = false;
+        };
+        if (oldJournal) {
+            oldJournal.end(replace);
+        } else {
+            replace();
+        }
+    }
+
+    // Add one change to the journal
+    function append(entry) {
+        if (!journal) journal = openJournal(journalFile, 'a');
+        const line = JSON.stringify({ sequence: ++sequence, ...entry }) + '\n';
+        journal.write(line);
+        journalBytes += Buffer.byteLength(line);
+        if (journalBytes > Math.max(snapshotBytes, COMPACT_MIN_BYTES)) {
+            compact();
+        }
+    }
+
+    // Read the snapshot and replay the journal over it
+    // Rooms saved before the snapshot was numbered are the whole file
+    function read() {
+        if (fs.existsSync(snapshotFile)) {
+            const snapshot = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+            const numbered = typeof snapshot.sequence === 'number' && snapshot.rooms;
+            rooms = numbered ? snapshot.rooms : snapshot;
+            sequence = numbered ? snapshot.sequence : 0;
+        }
+
+        // A crash while restarting the journal can leave the new one under its
+        // temporary name, holding the lines after the old one
+        const lines = [journalFile, nextJournalFile]
+            .filter(file => fs.existsSync(file))
+            .flatMap(file => fs.readFileSync(file, 'utf8').split('\n'));
+
+        // Patches are collected per room and applied in one go at the end
+        const patches = {};
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Last line may be cut short by a crash - skip it
+                console.error('Skipping unreadable journal line');
+                return;
+            }
+
+            // Already in the snapshot
+            if (entry.sequence <= sequence) return;
+            if (entry.sequence) sequence = entry.sequence;
+
+            if (entry.op === 'save') {
+                rooms[entry.roomCode] = entry.room;
+                patches[entry.roomCode] = [];
+            } else if (entry.op === 'patch' && rooms[entry.roomCode]) {
+                patches[entry.roomCode] = patches[entry.roomCode] || [];
+                patches[entry.roomCode].push(...entry.ops);
+            } else if (entry.op === 'remove') {
+                delete rooms[entry.roomCode];
+                delete patches[entry.roomCode];
+            }
+        });
+
+        Object.entries(patches).forEach(([roomCode, ops]) => {
+            if (ops.length > 0) {
+                rooms[roomCode] = applyPatch(rooms[roomCode], ops);
+            }
+        });
+    }
+
+    return {
+        load() {
+            read();
+
+            // Start the new run from a clean snapshot
+            compact();
+            return JSON.parse(JSON.stringify(rooms));
+        },
+
+        save(roomCode, room) {
+            // Plain copy, so later changes to the room show up in the next patch
+            const saved = JSON.parse(JSON.stringify(room));
+            const previous = rooms[roomCode];
+
+            // Updated before appending, since appending may write the snapshot
+            rooms[roomCode] = saved;
+            if (!previous) {
+                append({ op: 'save', roomCode: roomCode, room: saved });
+            } else {
+                const ops = diffState(previous, saved);
+                if (ops.length > 0) {
+                    append({ op: 'patch', roomCode: roomCode, ops: ops });
+                }
+            }
+        },
+
+        remove(roomCode) {
+            if (!rooms[roomCode]) return;
+            delete rooms[roomCode];
+            append({ op: 'remove', roomCode: roomCode });
+        }
+    };
+}
+
+// Pick a store from environment settings
+// ROOM_STORE=file saves rooms under ROOM_STORE_DIR (default ./data)
+function createRoomStore(env) {
+    if (env.ROOM_STORE === 'file') {
+        return createFileStore(env.ROOM_STORE_DIR || path.join(__dirname, 'data'));
+    }
+    return createMemoryStore();
+}
+
+module.exports = {
+    createMemoryStore,
+    createFileStore,
+    createRoomStore
+};
@@ -1,22 +1,64 @@
 // Import required packages
 const express = require('express');      // Web framework for HTTP server
 const http = require('http');           // HTTP server functionality
+const path = require('path');           // Locating the overlay page
+const os = require('os');               // LAN address for join links
 const WebSocket = require('ws');        // WebSocket for real-time communication
+const QRCode = require('qrcode');       // Join QR codes for rooms
+const crypto = require('crypto');       // Secure random tokens for session resume
+const { createRoomStore } = require('./roomStore');  // Saves rooms between restarts
+const { createStatsStore } = require('./statsStore');  // Saves profiles and game results
+const { validateMessage, validateLocalGame, validateProfile } = require('./messageSchema');  // Checks every client message
+const { createLogEntry, logToCsv } = require('../shared/gameLog');  // Structured game log entries
+const {
+    playerColors,
+    gameFormats,
+    defaultRoomRules,
+    counterKinds,
+    buildRoomSettings,
+    createPlayer,
+    summarizeAction,
+    checkEliminations,
+    reduce
+} = require('../shared/gameRules');  // Game rules, shared with the app
+const { diffState } = require('./statePatch');  // Changes between two game states
+const { buildGameResult, filterGames, getProfileStats, getLeaderboard, getHeadToHead } = require('./stats');  // Results and leaderboards
+const { startDiscovery } = require('./discovery');  // Lets the app find us on the LAN
 
 // Initialize Express app and create HTTP server
 const app = express();
 const server = http.createServer(app);
 
+// Largest message a client may send (real messages are well under 1KB)
+const MAX_MESSAGE_BYTES = 4096;
+
 // Create WebSocket server attached to HTTP server
-const wss = new WebSocket.Server({ server });
+// maxPayload is a hard cap - anything far bigger just drops the connection
+const wss = new WebSocket.Server({ server, maxPayload: MAX_MESSAGE_BYTES * 16 });
 
 // Store active game rooms
-// Structure: { roomCode: { players: [], gameLog: [] } }
+// Structure: { roomCode: { settings: {}, hostId, players: [], spectators: [], seatOrder: [], activePlayerId, turnNumber, gameOver, history: {}, gameLog: [], version, sentState } }
 const rooms = {};
 
-// Predefined colors for players (up to 6 players)
-// Each player gets a different color based on join order
-const playerColors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FECA57', '#DDA0DD'];
+// Where rooms are saved (memory only unless ROOM_STORE=file is set)
+const roomStore = createRoomStore(process.env);
+
+// Player profiles and finished games, kept across rooms (see stats.js)
+// Structure: profiles: { profileId: { id, name, color, token, createdAt } }, gameResults: [result]
+const profiles = {};
+const gameResults = [];
+
+// Where profiles and results are saved (memory only unless STATS_STORE=file is set)
+const statsStore = createStatsStore(process.env);
+
+// How many people can watch a room without taking a seat
+const MAX_SPECTATORS = 20;
+
+// Messages spectators may send (everything else changes the game)
+const READ_ONLY_TYPES = ['REQUEST_SYNC', 'LEAVE_ROOM', 'PING'];
+
+// Messages that put a connection in a room (one room per connection)
+const JOIN_TYPES = ['CREATE_ROOM', 'JOIN_ROOM', 'JOIN_AS_SPECTATOR'];
 
 // Generate a random 6-character room code
 // Uses uppercase letters and numbers for easy sharing
@@ -29,6 +71,28 @@ function generateRoomCode() {
     return code;
 }
 
+// How long a disconnected player's seat is held before they are removed
+// Phones that lock or switch WiFi can RESUME within this window
+const RESUME_GRACE_PERIOD_MS = parseInt(process.env.RESUME_GRACE_PERIOD_MS, 10) || 5 * 60 * 1000;
+
+// Heartbeat: every socket is pinged each HEARTBEAT_INTERVAL_MS
+// A player who misses a reply shows as away; one silent for HEARTBEAT_TIMEOUT_MS
+// is dropped (their seat is then held like any other disconnect)
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || 10 * 1000;
+const HEARTBEAT_TIMEOUT_MS = parseInt(process.env.HEARTBEAT_TIMEOUT_MS, 10) || 30 * 1000;
+
+// Generate a secret token that lets a player reclaim their seat after a disconnect
+// (also used for each room's HTTP read token)
+function generateResumeToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Generate a random id for a profile or game result
+// (random rather than counted, so ids stay unique across restarts)
+function generateRecordId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
 // Generate simple player ID
 // Uses a counter to create unique IDs like player1, player2, etc.
 let playerIdCounter = 1;
@@ -45,51 +109,130 @@ wss.on('connection', (ws) => {
     // Track which room this player is in (null until they join/create)
     let currentRoomCode = null;
 
+    // Spectators only receive updates and can't send anything else
+    let isSpectator = false;
+
+    // Last time we heard anything from this socket (see checkHeartbeats)
+    ws.lastSeen = Date.now();
+    ws.on('pong', () => {
+        ws.lastSeen = Date.now();
+    });
+
     console.log(`Player ${playerId} connected`);
 
     // Handle messages from this player
     ws.on('message', (message) => {
+        // Any message proves the connection is alive
+        ws.lastSeen = Date.now();
+
+        // Reject oversized messages before parsing them
+        if (message.length > MAX_MESSAGE_BYTES) {
+            sendError(ws, 'MESSAGE_TOO_LARGE', `Messages must be under ${MAX_MESSAGE_BYTES} bytes`);
+            console.log(`${playerId} sent an oversized message (${message.length} bytes)`);
+            return;
+        }
+
+        // Parse the JSON message from client
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            sendError(ws, 'INVALID_MESSAGE', 'Message is not valid JSON');
+            console.log(`${playerId} sent invalid JSON`);
+            return;
+        }
+
+        // Check the message against its schema (see messageSchema.js)
+        const problem = validateMessage(data);
+        if (problem) {
+            sendError(ws, problem.code, problem.message, problem.field);
+            console.log(`${playerId} sent invalid ${data && data.type}: ${problem.message}`);
+            return;
+        }
+
+        // A connection that's already playing or watching can't start or join another room
+        if (JOIN_TYPES.includes(data.type) && currentRoomCode && rooms[currentRoomCode]) {
+            sendError(ws, 'ALREADY_IN_ROOM', `You're already in room ${currentRoomCode}`);
+            console.log(`${playerId} sent ${data.type} while in room ${currentRoomCode}`);
+            return;
+        }
+
+        // Spectators are read-only
+        if (isSpectator && !READ_ONLY_TYPES.includes(data.type)) {
+            sendError(ws, 'NOT_AUTHORIZED', "Spectators can't change the game");
+            console.log(`Spectator ${playerId} tried to send ${data.type}`);
+            return;
+        }
+
         try {
-            // Parse the JSON message from client
-            const data = JSON.parse(message);
-            console.log(`Received ${data.type} from ${playerId}`);
+            if (data.type !== 'PING') {
+                console.log(`Received ${data.type} from ${playerId}`);
+            }
 
             // Handle different message types
             switch (data.type) {
                 case 'CREATE_ROOM':
+                    // Work out the format and settings for this room
+                    const { settings, error: settingsError } = buildRoomSettings(data.format, data.settings);
+                    if (settingsError) {
+                        sendError(ws, 'INVALID_SETTINGS', settingsError);
+                        console.log(`${playerId} sent invalid room settings: ${settingsError}`);
+                        return;
+                    }
+
                     // Generate new unique room code
                     const roomCode = generateRoomCode();
 
                     // Create new room object with empty players and log
                     rooms[roomCode] = {
+                        settings: settings,
+                        hostId: playerId,       // Room creator is the host
                         players: [],
-                        gameLog: []
+                        spectators: [],         // { id, ws } - watch only, no seat or color
+                        seatOrder: [],          // Player IDs in turn order
+                        activePlayerId: null,   // Whose turn it is
+                        turnNumber: 1,          // Counts every turn taken
+                        gameOver: null,         // { winnerId } once one player is left
+                        history: { undo: [], redo: [] },  // Reversible actions (see recordAction in gameRules.js)
+                        gameLog: [],
+                        readToken: generateResumeToken(),  // For the HTTP API when requireReadToken is on
+                        version: 0,             // Bumped by every STATE_PATCH
+                        sentState: null         // Game state as of `version` (not saved)
                     };
 
                     // Create the first player (room creator)
                     const creator = {
-                        id: playerId,
-                        name: 'Player 1',           // Default name
-                        life: 40,                   // Starting life for commander
-                        color: playerColors[0],     // First color (red)
-                        commanderDamage: {},        // Track damage from each opponent
+                        ...createPlayer(playerId, 0, settings),
+                        connected: true,            // False while the seat is held after a disconnect
+                        presence: 'online',         // 'online', 'away' (missed heartbeats) or 'disconnected'
+                        resumeToken: generateResumeToken(), // Secret used to RESUME this seat
                         ws: ws                      // WebSocket connection for sending messages
                     };
 
                     // Add creator to room
                     rooms[roomCode].players.push(creator);
+                    rooms[roomCode].seatOrder.push(creator.id);
+                    rooms[roomCode].activePlayerId = creator.id;  // Creator goes first
                     currentRoomCode = roomCode;
 
+                    // Log room creation
+                    addToLog(roomCode, `${creator.name} created a ${settings.format} game`, {
+                        actorId: playerId,
+                        action: 'CREATE_ROOM',
+                        after: settings
+                    });
+                    broadcastGameState(roomCode);
+
                     // Send room creation confirmation to creator
                     ws.send(JSON.stringify({
                         type: 'ROOM_CREATED',
                         roomCode: roomCode,
                         playerId: playerId,
-                        gameState: getGameState(roomCode)
+                        resumeToken: creator.resumeToken,
+                        readToken: rooms[roomCode].readToken,
+                        version: rooms[roomCode].version,
+                        gameState: rooms[roomCode].sentState
                     }));
-
-                    // Log room creation
-                    addToLog(roomCode, `${creator.name} created the game`);
                     console.log(`Room ${roomCode} created by ${playerId}`);
                     break;
 
@@ -98,199 +241,296 @@ wss.on('connection', (ws) => {
 
                     // Validate room exists
                     if (!rooms[joinCode]) {
-                        ws.send(JSON.stringify({
-                            type: 'ERROR',
-                            message: 'Room not found'
-                        }));
+                        sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
                         console.log(`${playerId} tried to join non-existent room ${joinCode}`);
                         return;
                     }
 
-                    // Check room capacity (max 6 players)
-                    if (rooms[joinCode].players.length >= 6) {
-                        ws.send(JSON.stringify({
-                            type: 'ERROR',
-                            message: 'Room is full'
-                        }));
+                    // Check room capacity (set by the room's format)
+                    if (rooms[joinCode].players.length >= rooms[joinCode].settings.maxPlayers) {
+                        sendError(ws, 'ROOM_FULL', 'Room is full');
                         console.log(`${playerId} tried to join full room ${joinCode}`);
                         return;
                     }
 
                     // Create new player object
                     const newPlayer = {
-                        id: playerId,
-                        // Name based on join order (Player 2, Player 3, etc.)
-                        name: `Player ${rooms[joinCode].players.length + 1}`,
-                        life: 40,
-                        // Assign next available color
-                        color: playerColors[rooms[joinCode].players.length],
-                        commanderDamage: {},
+                        // Name and color follow join order (Player 2, Player 3, etc.)
+                        ...createPlayer(playerId, rooms[joinCode].players.length, rooms[joinCode].settings),
+                        connected: true,
+                        presence: 'online',
+                        resumeToken: generateResumeToken(),
                         ws: ws
                     };
 
                     // Add player to room
                     rooms[joinCode].players.push(newPlayer);
+                    rooms[joinCode].seatOrder.push(newPlayer.id);  // Sit at the end of the table
                     currentRoomCode = joinCode;
 
-                    // Send join confirmation with current game state
+                    // Log join and update all other players
+                    addToLog(joinCode, `${newPlayer.name} joined the game`, {
+                        actorId: playerId,
+                        action: 'JOIN_ROOM',
+                        targetId: playerId
+                    });
+                    broadcastGameState(joinCode);
+
+                    // Send join confirmation with the state that broadcast produced
+                    // (the patch that reached us first is ignored by the app)
                     ws.send(JSON.stringify({
                         type: 'ROOM_JOINED',
+                        roomCode: joinCode,
                         playerId: playerId,
-                        gameState: getGameState(joinCode)
+                        resumeToken: newPlayer.resumeToken,
+                        readToken: rooms[joinCode].readToken,
+                        version: rooms[joinCode].version,
+                        gameState: rooms[joinCode].sentState
                     }));
-
-                    // Log join and update all other players
-                    addToLog(joinCode, `${newPlayer.name} joined the game`);
-                    broadcastGameState(joinCode);
                     console.log(`${playerId} joined room ${joinCode}`);
                     break;
 
-                case 'UPDATE_LIFE':
-                    // Validate player is in a room
-                    if (!currentRoomCode || !rooms[currentRoomCode]) {
-                        console.log(`${playerId} tried to update life but not in room`);
+                case 'JOIN_AS_SPECTATOR':
+                    const watchCode = data.roomCode;
+
+                    if (!rooms[watchCode]) {
+                        sendError(ws, 'ROOM_NOT_FOUND', 'Room not found');
+                        console.log(`${playerId} tried to watch non-existent room ${watchCode}`);
                         return;
                     }
 
-                    // Find the player whose life is changing
-                    const player = rooms[currentRoomCode].players.find(p => p.id === data.playerId);
-                    if (player) {
-                        // Track old life for logging
-                        const oldLife = player.life;
-                        // Update to new life total
-                        player.life = data.life;
-                        // Calculate change for log message
-                        const change = data.life - oldLife;
-                        const changeStr = change > 0 ? `+${change}` : `${change}`;
-
-                        // Log the life change
-                        addToLog(currentRoomCode, `${player.name}: ${oldLife} → ${data.life} (${changeStr})`);
-                        // Update all players with new game state
-                        broadcastGameState(currentRoomCode);
-                        console.log(`${player.name} life: ${oldLife} → ${data.life}`);
+                    // Watching shows the whole game, so it needs the same token as the HTTP API
+                    if (rooms[watchCode].settings.requireReadToken &&
+                        !tokenMatches(data.readToken, rooms[watchCode].readToken)) {
+                        sendError(ws, 'NOT_AUTHORIZED', 'This room needs a valid read token', 'readToken');
+                        console.log(`${playerId} tried to watch room ${watchCode} without its read token`);
+                        return;
                     }
+
+                    if (rooms[watchCode].spectators.length >= MAX_SPECTATORS) {
+                        sendError(ws, 'ROOM_FULL', 'Too many spectators in this room');
+                        console.log(`${playerId} tried to watch full room ${watchCode}`);
+                        return;
+                    }
+
+                    // Spectators get broadcasts but no seat, color or player entry
+                    rooms[watchCode].spectators.push({ id: playerId, ws: ws });
+                    currentRoomCode = watchCode;
+                    isSpectator = true;
+
+                    // Let players see the new spectator count
+                    broadcastGameState(watchCode);
+
+                    ws.send(JSON.stringify({
+                        type: 'SPECTATOR_JOINED',
+                        roomCode: watchCode,
+                        version: rooms[watchCode].version,
+                        gameState: rooms[watchCode].sentState
+                    }));
+                    console.log(`${playerId} is watching room ${watchCode}`);
                     break;
 
-                case 'UPDATE_COMMANDER_DAMAGE':
-                    if (!currentRoomCode || !rooms[currentRoomCode]) {
-                        console.log(`${playerId} tried to update commander damage but not in room`);
+                case 'RESUME':
+                    const resumeCode = data.roomCode;
+
+                    // Find the held seat matching this token
+                    const resumingPlayer = rooms[resumeCode] &&
+                        rooms[resumeCode].players.find(p => p.resumeToken && p.resumeToken === data.resumeToken);
+
+                    if (!resumingPlayer) {
+                        ws.send(JSON.stringify({
+                            type: 'RESUME_FAILED',
+                            message: 'Your seat is no longer available'
+                        }));
+                        console.log(`${playerId} failed to resume in room ${resumeCode}`);
                         return;
                     }
 
-                    // Find both players involved in commander damage
-                    const targetPlayer = rooms[currentRoomCode].players.find(p => p.id === data.targetPlayerId);
-                    const sourcePlayer = rooms[currentRoomCode].players.find(p => p.id === data.sourcePlayerId);
-
-                    if (targetPlayer && sourcePlayer) {
-                        // Initialize commanderDamage object if it doesn't exist
-                        if (!targetPlayer.commanderDamage) {
-                            targetPlayer.commanderDamage = {};
-                        }
-
-                        // Get old damage amount to calculate the difference
-                        const oldDamage = targetPlayer.commanderDamage[data.sourcePlayerId] || 0;
-                        const newDamage = data.damage;
-                        const damageDifference = newDamage - oldDamage;
-
-                        // Update commander damage tracking
-                        targetPlayer.commanderDamage[data.sourcePlayerId] = newDamage;
-
-                        // FIXED: Automatically reduce life by commander damage difference
-                        if (damageDifference !== 0) {
-                            targetPlayer.life = Math.max(0, targetPlayer.life - damageDifference);
-                        }
-
-                        // Log the damage update
-                        if (damageDifference > 0) {
-                            addToLog(currentRoomCode, `${sourcePlayer.name} dealt ${damageDifference} commander damage to ${targetPlayer.name} (total: ${newDamage}) - Life: ${targetPlayer.life + damageDifference} → ${targetPlayer.life}`);
-                        } else if (damageDifference < 0) {
-                            addToLog(currentRoomCode, `${sourcePlayer.name} removed ${Math.abs(damageDifference)} commander damage from ${targetPlayer.name} (total: ${newDamage}) - Life: ${targetPlayer.life - damageDifference} → ${targetPlayer.life}`);
-                        }
-
-                        // Update all players
-                        broadcastGameState(currentRoomCode);
-                        console.log(`Commander damage: ${sourcePlayer.name} → ${targetPlayer.name}: ${newDamage}`);
+                    // Stop the pending seat removal
+                    if (resumingPlayer.removeTimer) {
+                        clearTimeout(resumingPlayer.removeTimer);
+                        resumingPlayer.removeTimer = null;
+                    }
+
+                    // Drop the old socket if it is somehow still around
+                    if (resumingPlayer.ws && resumingPlayer.ws !== ws) {
+                        resumingPlayer.ws.terminate();
                     }
+
+                    // Reattach this connection to the existing player
+                    console.log(`${playerId} resumed as ${resumingPlayer.id}`);
+                    playerId = resumingPlayer.id;
+                    currentRoomCode = resumeCode;
+                    resumingPlayer.ws = ws;
+                    resumingPlayer.connected = true;
+                    resumingPlayer.presence = 'online';
+
+                    // Open seats from an uploaded local game are claimed the same way
+                    const claimedSeat = resumingPlayer.openSeat;
+                    resumingPlayer.openSeat = false;
+
+                    addToLog(resumeCode, `${resumingPlayer.name} ${claimedSeat ? 'took their seat' : 'reconnected'}`, {
+                        actorId: playerId,
+                        action: 'RESUME',
+                        targetId: playerId
+                    });
+                    broadcastGameState(resumeCode);
+
+                    ws.send(JSON.stringify({
+                        type: 'ROOM_RESUMED',
+                        roomCode: resumeCode,
+                        playerId: playerId,
+                        resumeToken: resumingPlayer.resumeToken,
+                        readToken: rooms[resumeCode].readToken,
+                        version: rooms[resumeCode].version,
+                        gameState: rooms[resumeCode].sentState
+                    }));
                     break;
 
-                case 'UPDATE_NAME':
+                case 'REQUEST_SYNC':
+                    // Client missed a patch - send the full state it should be at
                     if (!currentRoomCode || !rooms[currentRoomCode]) {
-                        console.log(`${playerId} tried to update name but not in room`);
+                        console.log(`${playerId} asked for a sync but not in room`);
                         return;
                     }
 
-                    // Find player to rename
-                    const playerToRename = rooms[currentRoomCode].players.find(p => p.id === data.playerId);
-                    if (playerToRename) {
-                        // Store old name for log
-                        const oldName = playerToRename.name;
-                        // Update to new name
-                        playerToRename.name = data.name;
-
-                        // Log name change
-                        addToLog(currentRoomCode, `${oldName} changed name to ${data.name}`);
-                        // Update all players
-                        broadcastGameState(currentRoomCode);
-                        console.log(`${oldName} → ${data.name}`);
-                    }
+                    ws.send(JSON.stringify({
+                        type: 'STATE_SYNC',
+                        version: rooms[currentRoomCode].version,
+                        gameState: rooms[currentRoomCode].sentState
+                    }));
+                    console.log(`${playerId} resynced room ${currentRoomCode} at version ${rooms[currentRoomCode].version}`);
                     break;
 
-                case 'RESET_GAME':
+                case 'LINK_PROFILE':
+                    // Play this seat as a saved profile: its name and color come along
                     if (!currentRoomCode || !rooms[currentRoomCode]) {
-                        console.log(`${playerId} tried to reset game but not in room`);
+                        console.log(`${playerId} tried to link a profile but not in room`);
                         return;
                     }
 
-                    // Reset all players to starting state
-                    rooms[currentRoomCode].players.forEach(player => {
-                        player.life = 40;               // Reset to starting life
-                        player.commanderDamage = {};    // Clear all commander damage
-                    });
+                    const profile = findProfile(data.profileId, data.profileToken);
+                    if (!profile) {
+                        sendError(ws, 'PROFILE_NOT_FOUND', 'Profile not found', 'profileId');
+                        console.log(`${playerId} tried to link unknown profile ${data.profileId}`);
+                        return;
+                    }
+
+                    const linkRoom = rooms[currentRoomCode];
+                    const linkingPlayer = linkRoom.players.find(p => p.id === playerId);
+                    if (linkRoom.players.some(p => p !== linkingPlayer && p.profileId === profile.id)) {
+                        sendError(ws, 'PROFILE_IN_USE', `${profile.name} is already playing in this room`, 'profileId');
+                        console.log(`${playerId} tried to link profile ${profile.id} twice in room ${currentRoomCode}`);
+                        return;
+                    }
 
-                    // Clear game log and add reset message
-                    rooms[currentRoomCode].gameLog = [];
-                    addToLog(currentRoomCode, 'Game reset');
+                    linkingPlayer.profileId = profile.id;
+                    linkingPlayer.name = profile.name;
+                    // The preferred color only if nobody else at the table has it
+                    if (!linkRoom.players.some(p => p !== linkingPlayer && p.color === profile.color)) {
+                        linkingPlayer.color = profile.color;
+                    }
 
-                    // Update all players with reset state
+                    addToLog(currentRoomCode, `${profile.name} is playing as their profile`, {
+                        actorId: playerId,
+                        action: 'LINK_PROFILE',
+                        targetId: playerId,
+                        after: profile.id
+                    });
                     broadcastGameState(currentRoomCode);
-                    console.log(`Room ${currentRoomCode} reset`);
+                    console.log(`${playerId} linked profile ${profile.id} in room ${currentRoomCode}`);
+                    break;
+
+                case 'LEAVE_ROOM':
+                    // Give up our seat (or stop watching) for good - no grace period
+                    if (!currentRoomCode || !rooms[currentRoomCode]) {
+                        console.log(`${playerId} tried to leave but not in room`);
+                        return;
+                    }
+
+                    const leftCode = currentRoomCode;
+                    currentRoomCode = null;
+
+                    if (isSpectator) {
+                        isSpectator = false;
+                        rooms[leftCode].spectators = rooms[leftCode].spectators.filter(s => s.ws !== ws);
+                        broadcastGameState(leftCode);
+                        console.log(`${playerId} stopped watching room ${leftCode}`);
+                        return;
+                    }
+
+                    // Detach the socket first so the player isn't told they were kicked
+                    const leavingPlayer = rooms[leftCode].players.find(p => p.id === playerId);
+                    if (leavingPlayer) {
+                        leavingPlayer.ws = null;
+                    }
+                    removePlayer(leftCode, playerId);
+                    console.log(`${playerId} left room ${leftCode}`);
+
+                    // Joining again later is a new player, not the one in the old log
+                    playerId = generatePlayerId();
+                    break;
+
+                case 'PING':
+                    // App-level heartbeat so the app can tell when its own connection is slow
+                    ws.send(JSON.stringify({ type: 'PONG' }));
                     break;
 
                 default:
-                    console.log(`Unknown message type: ${data.type} from ${playerId}`);
+                    // Everything else is a game action, played by the rules engine
+                    if (!currentRoomCode || !rooms[currentRoomCode]) {
+                        console.log(`${playerId} sent ${data.type} but not in room`);
+                        return;
+                    }
+
+                    const actionError = applyGameAction(currentRoomCode, { ...data, actorId: playerId });
+                    if (actionError) {
+                        sendError(ws, actionError.code, actionError.message, actionError.field);
+                        console.log(`${playerId} ${data.type} rejected: ${actionError.message}`);
+                    }
                     break;
             }
         } catch (error) {
             console.error(`Error processing message from ${playerId}:`, error);
-            ws.send(JSON.stringify({
-                type: 'ERROR',
-                message: 'Invalid message format'
-            }));
+            sendError(ws, 'SERVER_ERROR', 'Something went wrong handling that message');
         }
     });
 
     // Handle player disconnection
+    // The seat is held for RESUME_GRACE_PERIOD_MS so the player can come back
     ws.on('close', () => {
         console.log(`Player ${playerId} disconnected`);
 
-        if (currentRoomCode && rooms[currentRoomCode]) {
-            // Find the disconnected player
-            const disconnectedPlayer = rooms[currentRoomCode].players.find(p => p.id === playerId);
-            const playerName = disconnectedPlayer ? disconnectedPlayer.name : playerId;
-
-            // Remove disconnected player from room
-            rooms[currentRoomCode].players = rooms[currentRoomCode].players.filter(p => p.id !== playerId);
-
-            // Clean up empty rooms
-            if (rooms[currentRoomCode].players.length === 0) {
-                console.log(`Room ${currentRoomCode} deleted (empty)`);
-                delete rooms[currentRoomCode];
-            } else {
-                // Log disconnection and update remaining players
-                addToLog(currentRoomCode, `${playerName} left the game`);
+        // Spectators just leave - there's no seat to hold
+        if (isSpectator) {
+            if (rooms[currentRoomCode]) {
+                rooms[currentRoomCode].spectators = rooms[currentRoomCode].spectators.filter(s => s.ws !== ws);
                 broadcastGameState(currentRoomCode);
-                console.log(`${playerName} left room ${currentRoomCode}`);
             }
+            return;
+        }
+
+        if (currentRoomCode && rooms[currentRoomCode]) {
+            const roomCode = currentRoomCode;
+            const disconnectedPlayer = rooms[roomCode].players.find(p => p.id === playerId);
+
+            // Ignore sockets that were already replaced by a RESUME
+            if (!disconnectedPlayer || disconnectedPlayer.ws !== ws) return;
+
+            // Mark the seat as disconnected and keep it for now
+            disconnectedPlayer.connected = false;
+            disconnectedPlayer.presence = 'disconnected';
+            disconnectedPlayer.ws = null;
+            disconnectedPlayer.removeTimer = setTimeout(() => {
+                removePlayer(roomCode, disconnectedPlayer.id);
+            }, RESUME_GRACE_PERIOD_MS);
+
+            addToLog(roomCode, `${disconnectedPlayer.name} disconnected`, {
+                action: 'DISCONNECTED',
+                targetId: disconnectedPlayer.id
+            });
+            broadcastGameState(roomCode);
+            console.log(`${disconnectedPlayer.name} disconnected from room ${roomCode}, holding seat`);
         }
     });
 
@@ -300,65 +540,486 @@ wss.on('connection', (ws) => {
     });
 });
 
+// Helper function to send a typed error to one client
+// code lets the app react to specific errors (e.g. NOT_AUTHORIZED)
+// field names the bad part of the message, when there is one
+function sendError(ws, code, message, field = null) {
+    ws.send(JSON.stringify({
+        type: 'ERROR',
+        code: code,
+        field: field,
+        message: message
+    }));
+}
+
+// Helper function to run a game action through the rules engine (see shared/gameRules.js)
+// Replaces the room with the result, acts on the engine's events and sends the update
+// Returns the ERROR event if the action was rejected, or null
+function applyGameAction(roomCode, action) {
+    const room = rooms[roomCode];
+    const { state, events } = reduce(room, action);
+
+    const error = events.find(event => event.type === 'ERROR');
+    if (error) return error;
+    if (state === room) return null;  // Nothing changed
+
+    rooms[roomCode] = state;
+    state.gameLog.slice(room.gameLog.length).forEach(entry => {
+        console.log(`Room ${roomCode}: ${entry.message}`);
+    });
+
+    // Finished games are kept as results; a reset leaves the result alone,
+    // anything else that brings the game back (undo, a corrected life total) takes it back out
+    if (state.gameOver && !room.gameOver) {
+        recordGameResult(roomCode);
+    } else if (!state.gameOver && room.gameOver && !startsNewGame(state, action)) {
+        withdrawGameResult(room.gameOver.resultId);
+    }
+
+    events.forEach(event => {
+        if (event.type === 'GAME_OVER') {
+            sendToRoom(roomCode, event);
+        } else if (event.type === 'PLAYER_REMOVED') {
+            // The seat is gone: stop holding it and tell a kicked player why
+            const removedPlayer = room.players.find(p => p.id === event.playerId);
+            if (removedPlayer.removeTimer) {
+                clearTimeout(removedPlayer.removeTimer);
+            }
+            if (removedPlayer.ws && removedPlayer.ws.readyState === WebSocket.OPEN) {
+                removedPlayer.ws.send(JSON.stringify({
+                    type: 'KICKED',
+                    message: 'The host removed you from the game'
+                }));
+                removedPlayer.ws.close();
+            }
+        }
+    });
+
+    broadcastGameState(roomCode);
+    return null;
+}
+
+// Helper function to keep the result of a room's finished game
+// The result id is kept on gameOver, which undo snapshots share: undoing a
+// reset brings back the same game over (already recorded), while redoing a
+// game over that was undone records it again under its old id
+function recordGameResult(roomCode) {
+    const room = rooms[roomCode];
+    const resultId = room.gameOver.resultId;
+    if (resultId && gameResults.some(result => result.id === resultId)) return;
+
+    room.gameOver.resultId = resultId || generateRecordId();
+    const result = buildGameResult(room.gameOver.resultId, roomCode, room);
+    gameResults.push(result);
+
+    try {
+        statsStore.saveGame(result);
+    } catch (error) {
+        console.error(`Error saving result of room ${roomCode}:`, error);
+    }
+    console.log(`Room ${roomCode}: recorded result ${result.id}`);
+}
+
+// Whether an action started the next game: a reset, or redoing one
+function startsNewGame(state, action) {
+    const lastAction = state.history.undo[state.history.undo.length - 1];
+    return action.type === 'RESET_GAME' ||
+        (action.type === 'REDO' && !!lastAction && lastAction.type === 'RESET_GAME');
+}
+
+// Helper function to forget a result whose game over was undone
+function withdrawGameResult(resultId) {
+    const index = gameResults.findIndex(result => result.id === resultId);
+    if (index === -1) return;
+
+    gameResults.splice(index, 1);
+    try {
+        statsStore.removeGame(resultId);
+    } catch (error) {
+        console.error(`Error removing result ${resultId}:`, error);
+    }
+    console.log(`Withdrew result ${resultId}`);
+}
+
+// Helper function to remove a player from a room for good
+// Called once a disconnected player's grace period runs out, or when they leave
+function removePlayer(roomCode, playerId) {
+    const room = rooms[roomCode];
+    if (!room || !room.players.some(p => p.id === playerId)) return;
+
+    // Clean up rooms once every seat is empty (open seats have nobody to wait for)
+    if (room.players.every(p => p.id === playerId || p.openSeat)) {
+        console.log(`Room ${roomCode} deleted (empty)`);
+
+        // Let anyone still watching know the game is gone
+        room.spectators.forEach(spectator => {
+            if (spectator.ws.readyState === WebSocket.OPEN) {
+                spectator.ws.send(JSON.stringify({
+                    type: 'ROOM_CLOSED',
+                    message: 'All players have left the game'
+                }));
+            }
+        });
+
+        delete rooms[roomCode];
+        roomStore.remove(roomCode);
+        return;
+    }
+
+    applyGameAction(roomCode, { type: 'REMOVE_PLAYER', playerId: playerId, reason: 'left the game' });
+}
+
+// Helper function to build a room from an uploaded local game (see POST /rooms)
+// Local ids (local1...) are swapped for server ids everywhere, log included
+// Returns { roomCode } on success or { error } describing what doesn't fit
+function createRoomFromLocalGame(game) {
+    const localIds = game.players.map(p => p.id);
+    const sameIds = (ids) => ids.length === localIds.length && localIds.every(id => ids.includes(id));
+    if (new Set(localIds).size !== localIds.length || !sameIds(game.seatOrder)) {
+        return { error: 'Players and seat order must list the same players once' };
+    }
+    if (!localIds.includes(game.playerId) || !localIds.includes(game.activePlayerId)) {
+        return { error: 'Unknown player' };
+    }
+    const knownOrNone = (id) => id == null || localIds.includes(id);
+    if (game.gameOver && !knownOrNone(game.gameOver.winnerId)) {
+        return { error: 'Unknown winner' };
+    }
+    if (!game.gameLog.every(entry => knownOrNone(entry.actorId) && knownOrNone(entry.targetId))) {
+        return { error: 'Game log names an unknown player' };
+    }
+
+    const { format, ...overrides } = game.settings;
+    const { settings, error } = buildRoomSettings(format, overrides);
+    if (error) return { error };
+    if (settings.maxPlayers < game.players.length) {
+        return { error: 'More players than the format allows' };
+    }
+
+    // Replace every local id, wherever it appears (log entries hold them in several places)
+    const idMap = {};
+    localIds.forEach(id => {
+        idMap[id] = generatePlayerId();
+    });
+    const mapIds = (value) => {
+        if (typeof value === 'string') return idMap.hasOwnProperty(value) ? idMap[value] : value;
+        if (Array.isArray(value)) return value.map(mapIds);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [mapIds(key), mapIds(item)]));
+        }
+        return value;
+    };
+
+    // Damage and counters are free-form in the schema, so check them here
+    const isCount = (value) => Number.isInteger(value) && value >= 0 && value <= 999;
+    for (const player of game.players) {
+        const damageOk = Object.entries(player.commanderDamage).every(([sourceId, fromSource]) =>
+            localIds.includes(sourceId) && fromSource && typeof fromSource === 'object' &&
+            Object.entries(fromSource).every(([index, damage]) => ['0', '1'].includes(index) && isCount(damage)));
+        const countersOk = Object.entries(player.counters).every(([name, value]) =>
+            /^[A-Za-z0-9][A-Za-z0-9 ]{0,19}$/.test(name) && isCount(value));
+        if (!damageOk || !countersOk) {
+            return { error: `${player.name} has invalid commander damage or counters` };
+        }
+    }
+
+    const roomCode = generateRoomCode();
+    rooms[roomCode] = {
+        settings: settings,
+        hostId: idMap[game.playerId],
+        players: game.players.map((p, index) => ({
+            id: idMap[p.id],
+            name: p.name.trim(),
+            life: p.life,
+            color: playerColors[index],
+            commanders: p.commanders.map(name => name.trim()),
+            commanderDamage: mapIds(p.commanderDamage),
+            counters: { ...p.counters },
+            eliminated: p.eliminated,
+            eliminationCause: p.eliminated ? p.eliminationCause || 'life' : null,
+            eliminatedAt: p.eliminated && p.eliminatedAt != null ? p.eliminatedAt : null,
+            connected: false,
+            presence: 'disconnected',
+            openSeat: p.id !== game.playerId,  // No phone yet (the uploader RESUMEs right away)
+            resumeToken: generateResumeToken(),
+            ws: null
+        })),
+        spectators: [],
+        seatOrder: mapIds(game.seatOrder),
+        activePlayerId: idMap[game.activePlayerId],
+        turnNumber: game.turnNumber,
+        gameOver: game.gameOver ? { winnerId: mapIds(game.gameOver.winnerId || null) } : null,
+        history: { undo: [], redo: [] },  // Undo doesn't carry over from the phone
+        // Rebuilt field by field, so nothing but a log entry's own fields is kept
+        gameLog: game.gameLog.map(entry => ({
+            ...createLogEntry(entry.message, mapIds({
+                actorId: entry.actorId,
+                action: entry.action,
+                targetId: entry.targetId,
+                before: entry.before,
+                after: entry.after,
+                detail: entry.detail
+            })),
+            time: entry.time
+        })),
+        readToken: generateResumeToken(),
+        version: 0,
+        sentState: null
+    };
+
+    // The uploader's seat is held like any other until their RESUME arrives
+    const host = rooms[roomCode].players.find(p => p.id === rooms[roomCode].hostId);
+    host.removeTimer = setTimeout(() => {
+        removePlayer(roomCode, host.id);
+    }, RESUME_GRACE_PERIOD_MS);
+
+    addToLog(roomCode, `Local game moved to the server by ${host.name}`, {
+        actorId: host.id,
+        action: 'HOST_LOCAL_GAME',
+        after: settings
+    });
+
+    // The phone's rules should agree, but the upload is checked all the same
+    rooms[roomCode] = checkEliminations(rooms[roomCode]).state;
+    broadcastGameState(roomCode);
+    return { roomCode };
+}
+
+// Game states only carry the latest log entries: a long game's whole log would
+// otherwise go out with every full state. The window starts on a multiple of
+// LOG_WINDOW_STEP, so it holds STEP to 2 * STEP - 1 entries and only moves (and
+// gets patched wholesale) every STEP entries. The full log is at /rooms/:code/log.
+const LOG_WINDOW_STEP = 50;
+
+// Index of the first log entry clients are sent
+function getLogWindowStart(gameLog) {
+    return Math.max(0, (Math.floor(gameLog.length / LOG_WINDOW_STEP) - 1) * LOG_WINDOW_STEP);
+}
+
 // Helper function to get clean game state (without WebSocket references)
 // This creates a safe version of game state to send to clients
 function getGameState(roomCode) {
     if (!rooms[roomCode]) return null;
 
     return {
+        settings: rooms[roomCode].settings,
+        hostId: rooms[roomCode].hostId,
         // Map players to remove WebSocket connection (can't serialize ws)
         players: rooms[roomCode].players.map(p => ({
             id: p.id,
             name: p.name,
             life: p.life,
             color: p.color,
-            commanderDamage: p.commanderDamage
-            // Note: ws is intentionally excluded
+            commanders: p.commanders,
+            commanderDamage: p.commanderDamage,
+            counters: p.counters,
+            eliminated: p.eliminated,
+            eliminationCause: p.eliminationCause,
+            profileId: p.profileId || null,
+            connected: p.connected,
+            presence: p.presence,
+            openSeat: !!p.openSeat
+            // Note: ws and resumeToken are intentionally excluded
         })),
-        gameLog: rooms[roomCode].gameLog
+        seatOrder: rooms[roomCode].seatOrder,
+        activePlayerId: rooms[roomCode].activePlayerId,
+        turnNumber: rooms[roomCode].turnNumber,
+        gameOver: rooms[roomCode].gameOver,
+        spectatorCount: rooms[roomCode].spectators.length,
+        // Next action UNDO/REDO would act on
+        history: {
+            undo: summarizeAction(rooms[roomCode].history.undo[rooms[roomCode].history.undo.length - 1]),
+            redo: summarizeAction(rooms[roomCode].history.redo[rooms[roomCode].history.redo.length - 1])
+        },
+        counterKinds: counterKinds,
+        // Recent entries only; gameLogStart is how many older ones were left out
+        gameLogStart: getLogWindowStart(rooms[roomCode].gameLog),
+        gameLog: rooms[roomCode].gameLog.slice(getLogWindowStart(rooms[roomCode].gameLog))
     };
 }
 
 // Helper function to send updated game state to all players in a room
+// Every change ends with a broadcast, so this is also where rooms are saved
+// Only what changed since the last broadcast is sent, as a numbered STATE_PATCH
+// (see statePatch.js); clients that miss a version ask for a STATE_SYNC
 function broadcastGameState(roomCode) {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    persistRoom(roomCode);
+
+    // Plain JSON copy, so later changes to the room can't alter what was sent
+    const gameState = JSON.parse(JSON.stringify(getGameState(roomCode)));
+    const ops = diffState(room.sentState, gameState);
+    if (ops.length === 0) return;
+
+    room.version++;
+    room.sentState = gameState;
+    sendToRoom(roomCode, {
+        type: 'STATE_PATCH',
+        version: room.version,
+        ops: ops
+    });
+}
+
+// Helper function to send any message to everyone in a room (players and spectators)
+function sendToRoom(roomCode, message) {
     if (!rooms[roomCode]) return;
 
-    // Get clean game state
-    const gameState = getGameState(roomCode);
+    const payload = JSON.stringify(message);
 
-    // Send to each connected player in the room
-    rooms[roomCode].players.forEach(player => {
-        // Check if player's WebSocket is still open
-        if (player.ws && player.ws.readyState === WebSocket.OPEN) {
+    // Send to each connected player and spectator in the room
+    rooms[roomCode].players.concat(rooms[roomCode].spectators).forEach(member => {
+        // Check if their WebSocket is still open
+        if (member.ws && member.ws.readyState === WebSocket.OPEN) {
             try {
-                player.ws.send(JSON.stringify({
-                    type: 'GAME_UPDATE',
-                    gameState: gameState
-                }));
+                member.ws.send(payload);
             } catch (error) {
-                console.error(`Error sending update to ${player.name}:`, error);
+                console.error(`Error sending ${message.type} to ${member.name || member.id}:`, error);
             }
         }
     });
 }
 
-// Helper function to add entries to game log
-function addToLog(roomCode, message) {
+// Helper function to save a room to the room store
+// Sockets and timers can't be saved, so players are stored without them
+// Undo history isn't saved either: it's large and changes on every action
+function persistRoom(roomCode) {
     if (!rooms[roomCode]) return;
 
-    // Add new log entry with timestamp
-    rooms[roomCode].gameLog.push({
-        time: new Date().toLocaleTimeString(),  // Format: "1:23:45 PM"
-        message: message
+    // The last sent state is rebuilt on the first broadcast after a restart
+    const { sentState, history, ...room } = rooms[roomCode];
+
+    try {
+        roomStore.save(roomCode, {
+            ...room,
+            players: room.players.map(({ ws, removeTimer, ...player }) => player),
+            spectators: []  // Spectators simply rejoin after a restart
+        });
+    } catch (error) {
+        console.error(`Error saving room ${roomCode}:`, error);
+    }
+}
+
+// Load rooms saved by a previous run of the server
+// Every player starts out disconnected and has the usual grace period to RESUME
+function restoreRooms() {
+    const savedRooms = roomStore.load();
+
+    Object.entries(savedRooms).forEach(([roomCode, room]) => {
+        rooms[roomCode] = room;
+        room.spectators = [];
+
+        // Rooms saved by older versions miss newer room rules and the read token
+        room.settings = { ...defaultRoomRules, ...room.settings };
+        room.readToken = room.readToken || generateResumeToken();
+        room.version = room.version || 0;
+        room.sentState = null;
+        room.history = { undo: [], redo: [] };  // Undo doesn't survive a restart
+        room.players.forEach(player => {
+            player.ws = null;
+            player.connected = false;
+            player.presence = 'disconnected';
+
+            // Rooms saved before partner support had one commander and a number per source
+            player.commanders = player.commanders || ['Commander'];
+            Object.entries(player.commanderDamage).forEach(([sourceId, damage]) => {
+                if (typeof damage === 'number') {
+                    player.commanderDamage[sourceId] = { 0: damage };
+                }
+            });
+
+            // Open seats wait for their player however long it takes
+            if (!player.openSeat) {
+                player.removeTimer = setTimeout(() => {
+                    removePlayer(roomCode, player.id);
+                }, RESUME_GRACE_PERIOD_MS);
+            }
+
+            // Keep new player IDs from clashing with restored ones
+            const idNumber = parseInt(player.id.replace('player', ''), 10);
+            if (idNumber >= playerIdCounter) {
+                playerIdCounter = idNumber + 1;
+            }
+        });
+        addToLog(roomCode, 'Server restarted - waiting for players to reconnect', {
+            action: 'SERVER_RESTARTED'
+        });
+        persistRoom(roomCode);
     });
 
-    // Limit log size to prevent memory issues
-    // Remove oldest entry if over 50 messages
-    if (rooms[roomCode].gameLog.length > 50) {
-        rooms[roomCode].gameLog.shift();  // Remove first (oldest) entry
+    const restoredCount = Object.keys(savedRooms).length;
+    if (restoredCount > 0) {
+        console.log(`Restored ${restoredCount} room(s) from storage`);
     }
 }
 
+// Helper function to save a profile to the stats store
+function saveProfile(profile) {
+    try {
+        statsStore.saveProfile(profile);
+    } catch (error) {
+        console.error(`Error saving profile ${profile.id}:`, error);
+    }
+}
+
+// Load profiles and results saved by a previous run of the server
+function restoreStats() {
+    const saved = statsStore.load();
+    Object.assign(profiles, saved.profiles);
+    gameResults.push(...saved.games);
+
+    if (saved.games.length > 0 || Object.keys(saved.profiles).length > 0) {
+        console.log(`Restored ${Object.keys(saved.profiles).length} profile(s) and ${saved.games.length} game result(s)`);
+    }
+}
+
+// Work out a player's presence from their socket
+// Away means they missed the last heartbeat but haven't timed out yet
+function getPresence(player, now) {
+    if (!player.ws) return 'disconnected';
+    return now - player.ws.lastSeen > HEARTBEAT_INTERVAL_MS * 1.5 ? 'away' : 'online';
+}
+
+// Ping every socket, drop the ones that stopped answering and update presence
+// Sleeping phones leave half-open sockets that never send 'close' on their own
+function checkHeartbeats() {
+    const now = Date.now();
+
+    wss.clients.forEach(client => {
+        if (now - client.lastSeen > HEARTBEAT_TIMEOUT_MS) {
+            // Fires the usual 'close' handler, which holds the seat
+            client.terminate();
+            return;
+        }
+        client.ping();
+    });
+
+    // Only rooms where someone's presence changed get an update
+    Object.keys(rooms).forEach(roomCode => {
+        let changed = false;
+        rooms[roomCode].players.forEach(player => {
+            const presence = getPresence(player, now);
+            if (presence !== player.presence) {
+                player.presence = presence;
+                changed = true;
+            }
+        });
+        if (changed) {
+            broadcastGameState(roomCode);
+        }
+    });
+}
+
+// Helper function to add entries to game log
+// event is the structured side of the entry (see shared/gameLog.js)
+// The whole log is kept for the life of the room so it can be exported
+function addToLog(roomCode, message, event) {
+    if (!rooms[roomCode]) return;
+
+    rooms[roomCode].gameLog.push(createLogEntry(message, event));
+}
+
 // Basic HTTP endpoint for health checks
 // Visit http://localhost:3000 to see server status
 app.get('/', (req, res) => {
@@ -369,10 +1030,441 @@ app.get('/', (req, res) => {
     });
 });
 
-// Start the server
+// Read-only HTTP API for tools (table displays, bots, score sheets)
+// Errors use the same codes as WebSocket errors: { error: { code, message } }
+function sendHttpError(res, status, code, message) {
+    res.status(status).json({ error: { code: code, message: message } });
+}
+
+// Compare a token someone sent with the real one, in constant time
+function tokenMatches(token, expected) {
+    if (typeof token !== 'string' || token.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+// Token sent with a request, as ?token=... or an "Authorization: Bearer ..." header
+function getRequestToken(req) {
+    const header = req.get('authorization') || '';
+    return req.query.token || (header.startsWith('Bearer ') ? header.slice(7) : '');
+}
+
+// Check a request's read token against the room's
+function hasReadAccess(req, room) {
+    if (!room.settings.requireReadToken) return true;
+    return tokenMatches(getRequestToken(req), room.readToken);
+}
+
+// Look up the room a request is for, or send the error and return null
+function findRequestedRoom(req, res) {
+    const roomCode = req.params.roomCode.toUpperCase();
+    const room = rooms[roomCode];
+    if (!room) {
+        sendHttpError(res, 404, 'ROOM_NOT_FOUND', 'Room not found');
+        return null;
+    }
+    if (!hasReadAccess(req, room)) {
+        sendHttpError(res, 401, 'NOT_AUTHORIZED', 'This room needs a valid read token');
+        return null;
+    }
+    return roomCode;
+}
+
+// One player's view of the game: their own values plus what their commanders dealt
+function getPlayerView(roomCode, playerId) {
+    const gameState = getGameState(roomCode);
+    const player = gameState.players.find(p => p.id === playerId);
+    if (!player) return null;
+
+    const commanderDamageDealt = {};
+    gameState.players.forEach(target => {
+        if (target.commanderDamage[playerId]) {
+            commanderDamageDealt[target.id] = target.commanderDamage[playerId];
+        }
+    });
+
+    return {
+        ...player,
+        seat: gameState.seatOrder.indexOf(playerId),
+        isHost: gameState.hostId === playerId,
+        isActive: gameState.activePlayerId === playerId,
+        commanderDamageDealt: commanderDamageDealt
+    };
+}
+
+// List rooms that aren't hidden
+app.get('/rooms', (req, res) => {
+    const listed = Object.entries(rooms)
+        .filter(([, room]) => !room.settings.hidden)
+        .map(([roomCode, room]) => ({
+            roomCode: roomCode,
+            format: room.settings.format,
+            playerCount: room.players.length,
+            maxPlayers: room.settings.maxPlayers,
+            spectatorCount: room.spectators.length,
+            turnNumber: room.turnNumber,
+            gameOver: room.gameOver,
+            requireReadToken: room.settings.requireReadToken
+        }));
+
+    res.json({ rooms: listed });
+});
+
+// Turn a game played on one phone into a hosted room
+// The body is the local game (see toUpload in the app's localGame.js). Every
+// player gets a real id and a held seat: the uploader RESUMEs theirs with
+// the returned resumeToken, the rest are open seats other phones can claim
+// with their seat's token (shared as a join link or QR code)
+app.post('/rooms', express.json({ limit: '512kb' }), (req, res) => {
+    const problem = validateLocalGame(req.body);
+    if (problem) {
+        sendHttpError(res, 400, problem.code, `${problem.field}: ${problem.message}`);
+        return;
+    }
+
+    const result = createRoomFromLocalGame(req.body);
+    if (result.error) {
+        sendHttpError(res, 400, 'INVALID_GAME', result.error);
+        return;
+    }
+
+    const room = rooms[result.roomCode];
+    const host = room.players.find(p => p.id === room.hostId);
+    console.log(`Room ${result.roomCode} created from a local game (${room.players.length} players)`);
+    res.status(201).json({
+        roomCode: result.roomCode,
+        playerId: host.id,
+        resumeToken: host.resumeToken,
+        readToken: room.readToken,
+        seats: room.players
+            .filter(p => p.openSeat)
+            .map(p => ({ playerId: p.id, name: p.name, resumeToken: p.resumeToken }))
+    });
+});
+
+// Full game state, same shape the app gets in STATE_SYNC
+app.get('/rooms/:roomCode', (req, res) => {
+    const roomCode = findRequestedRoom(req, res);
+    if (!roomCode) return;
+
+    res.json(getGameState(roomCode));
+});
+
+// Every player's view, in seat order
+app.get('/rooms/:roomCode/players', (req, res) => {
+    const roomCode = findRequestedRoom(req, res);
+    if (!roomCode) return;
+
+    res.json({ players: rooms[roomCode].seatOrder.map(id => getPlayerView(roomCode, id)) });
+});
+
+// A single player's view
+app.get('/rooms/:roomCode/players/:playerId', (req, res) => {
+    const roomCode = findRequestedRoom(req, res);
+    if (!roomCode) return;
+
+    const view = getPlayerView(roomCode, req.params.playerId);
+    if (!view) {
+        sendHttpError(res, 404, 'PLAYER_NOT_FOUND', 'Player not found');
+        return;
+    }
+    res.json(view);
+});
+
+// Export a room's full game log
+// JSON by default; add ?format=csv for a spreadsheet-friendly download
+app.get('/rooms/:roomCode/log', (req, res) => {
+    const roomCode = findRequestedRoom(req, res);
+    if (!roomCode) return;
+    const room = rooms[roomCode];
+
+    if (req.query.format === 'csv') {
+        res.type('text/csv');
+        res.attachment(`bigtable-${roomCode}-log.csv`);
+        res.send(logToCsv(room.gameLog));
+        return;
+    }
+
+    res.json({
+        roomCode: roomCode,
+        players: room.players.map(p => ({ id: p.id, name: p.name })),
+        gameLog: room.gameLog
+    });
+});
+
+// Player profiles - optional, for players who want their results kept
+// Creating one returns its token once; the token is needed to change the
+// profile or to play as it (LINK_PROFILE). Everything else is public.
+
+// Look up a profile by id and token, or null if either is wrong
+function findProfile(profileId, token) {
+    const profile = profiles.hasOwnProperty(profileId) ? profiles[profileId] : null;
+    return profile && tokenMatches(token, profile.token) ? profile : null;
+}
+
+// A profile as anyone may see it (no token)
+function publicProfile(profile) {
+    const { token, ...rest } = profile;
+    return rest;
+}
+
+// Check a profile body's color against the player colors
+// Returns an error message, or null if it's fine (or missing)
+function checkProfileColor(color) {
+    if (color !== undefined && !playerColors.includes(color.toUpperCase())) {
+        return `color must be one of ${playerColors.join(', ')}`;
+    }
+    return null;
+}
+
+// Read the filters shared by the stats endpoints (?format=...&since=...)
+// since is a date (2024-09-01) or full timestamp; a season is just "since the first game night"
+// Returns { filters } or { error }
+function readStatsFilters(query) {
+    const filters = {};
+    if (query.format !== undefined) {
+        if (typeof query.format !== 'string' || !gameFormats.hasOwnProperty(query.format)) {
+            return { error: `format must be one of ${Object.keys(gameFormats).join(', ')}` };
+        }
+        filters.format = query.format;
+    }
+    if (query.since !== undefined) {
+        const since = typeof query.since === 'string' ? new Date(query.since) : null;
+        if (!since || isNaN(since.getTime())) {
+            return { error: 'since must be a date, e.g. 2024-09-01' };
+        }
+        filters.since = since;
+    }
+    return { filters };
+}
+
+// Look up the profile a request is for, or send the error and return null
+function findRequestedProfile(req, res) {
+    const profile = profiles.hasOwnProperty(req.params.profileId) ? profiles[req.params.profileId] : null;
+    if (!profile) {
+        sendHttpError(res, 404, 'PROFILE_NOT_FOUND', 'Profile not found');
+        return null;
+    }
+    return profile;
+}
+
+// Create a profile: { name, color } -> the profile plus its token
+app.post('/profiles', express.json(), (req, res) => {
+    const problem = validateProfile(req.body);
+    if (problem) {
+        sendHttpError(res, 400, problem.code, `${problem.field}: ${problem.message}`);
+        return;
+    }
+    const colorError = checkProfileColor(req.body.color);
+    if (colorError) {
+        sendHttpError(res, 400, 'INVALID_FIELD', `color: ${colorError}`);
+        return;
+    }
+
+    const profile = {
+        id: generateRecordId(),
+        name: req.body.name.trim(),
+        color: (req.body.color || playerColors[0]).toUpperCase(),
+        token: generateResumeToken(),
+        createdAt: new Date().toISOString()
+    };
+    profiles[profile.id] = profile;
+    saveProfile(profile);
+
+    console.log(`Profile ${profile.id} created for ${profile.name}`);
+    res.status(201).json({ profile: publicProfile(profile), token: profile.token });
+});
+
+// Every profile, by name
+app.get('/profiles', (req, res) => {
+    res.json({
+        profiles: Object.values(profiles)
+            .map(publicProfile)
+            .sort((a, b) => a.name.localeCompare(b.name))
+    });
+});
+
+// One profile and its overall record (?format= and ?since= narrow the record down)
+app.get('/profiles/:profileId', (req, res) => {
+    const profile = findRequestedProfile(req, res);
+    if (!profile) return;
+
+    const { filters, error } = readStatsFilters(req.query);
+    if (error) {
+        sendHttpError(res, 400, 'INVALID_FIELD', error);
+        return;
+    }
+
+    res.json({
+        ...publicProfile(profile),
+        stats: getProfileStats(filterGames(gameResults, { ...filters, profileId: profile.id }), profile.id)
+    });
+});
+
+// Change a profile's name or color (needs the profile's token)
+// Rooms already in progress keep the name and color they have
+app.patch('/profiles/:profileId', express.json(), (req, res) => {
+    const profile = findRequestedProfile(req, res);
+    if (!profile) return;
+
+    if (!tokenMatches(getRequestToken(req), profile.token)) {
+        sendHttpError(res, 401, 'NOT_AUTHORIZED', 'This profile needs its token');
+        return;
+    }
+    const problem = validateProfile(req.body, true);
+    if (problem) {
+        sendHttpError(res, 400, problem.code, `${problem.field}: ${problem.message}`);
+        return;
+    }
+    const colorError = checkProfileColor(req.body.color);
+    if (colorError) {
+        sendHttpError(res, 400, 'INVALID_FIELD', `color: ${colorError}`);
+        return;
+    }
+
+    if (req.body.name !== undefined) profile.name = req.body.name.trim();
+    if (req.body.color !== undefined) profile.color = req.body.color.toUpperCase();
+    saveProfile(profile);
+
+    res.json({ profile: publicProfile(profile) });
+});
+
+// A profile's record against each profile they've played with
+app.get('/profiles/:profileId/head-to-head', (req, res) => {
+    const profile = findRequestedProfile(req, res);
+    if (!profile) return;
+
+    const { filters, error } = readStatsFilters(req.query);
+    if (error) {
+        sendHttpError(res, 400, 'INVALID_FIELD', error);
+        return;
+    }
+
+    res.json({
+        profileId: profile.id,
+        opponents: getHeadToHead(filterGames(gameResults, { ...filters, profileId: profile.id }), profiles, profile.id)
+    });
+});
+
+// Most recent finished games, newest first
+// ?profileId= for one player's games, ?limit= up to 100 (default 20), plus ?format= and ?since=
+app.get('/games', (req, res) => {
+    const { filters, error } = readStatsFilters(req.query);
+    if (error) {
+        sendHttpError(res, 400, 'INVALID_FIELD', error);
+        return;
+    }
+
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        sendHttpError(res, 400, 'INVALID_FIELD', 'limit must be a whole number from 1 to 100');
+        return;
+    }
+    if (req.query.profileId !== undefined) {
+        filters.profileId = req.query.profileId;
+    }
+
+    res.json({ games: filterGames(gameResults, filters).slice(0, limit) });
+});
+
+// Profiles ranked by wins (?format= and ?since= for a format or a season)
+app.get('/stats/leaderboard', (req, res) => {
+    const { filters, error } = readStatsFilters(req.query);
+    if (error) {
+        sendHttpError(res, 400, 'INVALID_FIELD', error);
+        return;
+    }
+
+    res.json({ leaderboard: getLeaderboard(filterGames(gameResults, filters), profiles) });
+});
+
+// Link that opens the app and joins a room: bigtable://join/CODE?server=HOST:PORT
+// &seat=TOKEN claims one open seat instead of taking a new one
+// The app builds the same link (see buildJoinLink in App.js)
+function buildJoinLink(roomCode, server, seat = null) {
+    const seatParam = seat ? `&seat=${seat}` : '';
+    return `bigtable://join/${roomCode}?server=${encodeURIComponent(server)}${seatParam}`;
+}
+
+// Address phones should use to reach us, as seen by this request
+// Opened on the server itself (localhost), so use the machine's LAN address instead
+function getServerAddress(req) {
+    const host = req.get('host') || '';
+
+    // Parsed as a URL so IPv6 hosts like [::1]:3000 split correctly (hostname keeps its brackets)
+    let hostname = '';
+    let port = '';
+    try {
+        ({ hostname, port } = new URL(`http://${host}`));
+    } catch (error) {
+        // Not a usable Host header - fall through and send it back as it came
+    }
+    if (['localhost', '127.0.0.1', '[::1]'].includes(hostname)) {
+        const lan = Object.values(os.networkInterfaces()).flat()
+            .find(address => address.family === 'IPv4' && !address.internal);
+        if (lan) return `${lan.address}:${port || PORT}`;
+    }
+    return req.protocol === 'https' ? `wss://${host}` : host;
+}
+
+// QR code for joining a room, for showing on a laptop or TV next to the table
+// PNG by default, ?format=svg for SVG
+// ?seat=TOKEN makes a code for one open seat of an uploaded local game
+app.get('/rooms/:roomCode/qr', async (req, res) => {
+    const roomCode = findRequestedRoom(req, res);
+    if (!roomCode) return;
+    const seat = typeof req.query.seat === 'string' && /^[a-f0-9]{32}$/.test(req.query.seat) ? req.query.seat : null;
+    const link = buildJoinLink(roomCode, getServerAddress(req), seat);
+
+    try {
+        if (req.query.format === 'svg') {
+            res.type('image/svg+xml');
+            res.send(await QRCode.toString(link, { type: 'svg', margin: 2 }));
+        } else {
+            res.type('image/png');
+            res.send(await QRCode.toBuffer(link, { type: 'png', width: 512, margin: 2 }));
+        }
+    } catch (error) {
+        console.error(`Could not make QR code for ${roomCode}:`, error.message);
+        sendHttpError(res, 500, 'SERVER_ERROR', 'Could not make QR code');
+    }
+});
+
+// Stream overlay page for OBS (see overlay/index.html for its options)
+// The page itself joins the room as a spectator, so it only needs the code
+app.get('/overlay/:roomCode', (req, res) => {
+    res.sendFile(path.join(__dirname, 'overlay', 'index.html'));
+});
+
+// Anything else under the API gets a JSON 404 instead of Express's HTML page
+app.use(['/rooms', '/profiles', '/games', '/stats'], (req, res) => {
+    sendHttpError(res, 404, 'NOT_FOUND', 'Unknown endpoint');
+});
+
+// Bodies that aren't JSON or are too big get the same error shape
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        sendHttpError(res, 400, 'INVALID_MESSAGE', 'Body is not valid JSON');
+    } else if (error.type === 'entity.too.large') {
+        sendHttpError(res, 413, 'MESSAGE_TOO_LARGE', 'Body is too large');
+    } else {
+        console.error('HTTP error:', error);
+        sendHttpError(res, 500, 'SERVER_ERROR', 'Something went wrong');
+    }
+});
+
+// Bring back saved rooms, profiles and results, then start the server
+restoreRooms();
+restoreStats();
+const heartbeatTimer = setInterval(checkHeartbeats, HEARTBEAT_INTERVAL_MS);
+wss.on('close', () => clearInterval(heartbeatTimer));
 const PORT = process.env.PORT || 3000;  // Use environment port or default to 3000
 server.listen(PORT, () => {
     console.log(`bigtable Life Tracker Server running on port ${PORT}`);
     console.log(`Make sure your phone and computer are on the same WiFi network`);
-    console.log(`Update WS_URL in your app to: ws://YOUR_IP_ADDRESS:${PORT}`);
+    console.log(`The app should find this server by itself; if not, enter YOUR_IP_ADDRESS:${PORT} in its server settings`);
+    const stopDiscovery = startDiscovery(process.env, {
+        port: PORT,
+        getRooms: () => Object.values(rooms).filter(room => !room.settings.hidden).length
+    });
+    wss.on('close', stopDiscovery);
 });
\ No newline at end of file
@@ -0,0 +1,91 @@
+// State patches for the bigtable server
+// Instead of sending the whole game state after every change, the server
+// sends the differences from the last state it sent (a STATE_PATCH).
+// A patch is a list of ops, applied in order. Paths are lists of keys and
+// array indexes from the root of the game state, e.g. ['players', 1, 'life']:
+//   { op: 'set', path, value }         - put value at path ([] replaces everything)
+//   { op: 'remove', path }             - delete an object key
+//   { op: 'append', path, values }     - push values onto the array at path
+//   { op: 'truncate', path, length }   - cut the array at path down to length
+// Clients apply the same ops to their copy (applyPatch below, and in the app).
+
+// Plain objects (not arrays or null)
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Work out the ops that turn `before` into `after`
+// Both must be plain JSON data (no sockets, dates or undefined values)
+function diffState(before, after, path = [], ops = []) {
+    if (before === after) return ops;
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const shared = Math.min(before.length, after.length);
+        for (let i = 0; i < shared; i++) {
+            diffState(before[i], after[i], path.concat(i), ops);
+        }
+        if (after.length > before.length) {
+            // Mostly new log entries - sent on their own, not the whole log
+            ops.push({ op: 'append', path: path, values: after.slice(shared) });
+        } else if (after.length < before.length) {
+            ops.push({ op: 'truncate', path: path, length: after.length });
+        }
+        return ops;
+    }
+
+    if (isObject(before) && isObject(after)) {
+        Object.keys(after).forEach(key => {
+            if (!before.hasOwnProperty(key)) {
+                ops.push({ op: 'set', path: path.concat(key), value: after[key] });
+            } else {
+                diffState(before[key], after[key], path.concat(key), ops);
+            }
+        });
+        Object.keys(before).forEach(key => {
+            if (!after.hasOwnProperty(key)) {
+                ops.push({ op: 'remove', path: path.concat(key) });
+            }
+        });
+        return ops;
+    }
+
+    // Different types or a changed value - replace it outright
+    ops.push({ op: 'set', path: path, value: after });
+    return ops;
+}
+
+// Apply a patch's ops to a copy of the state and return the result
+// (for Node clients such as cli.js; the app has its own React-friendly version)
+function applyPatch(state, ops) {
+    let result = JSON.parse(JSON.stringify(state));
+    ops.forEach(op => {
+        if (op.path.length === 0) {
+            if (op.op === 'set') result = op.value;
+            return;
+        }
+
+        // Walk to the parent of the value the op is about
+        const parent = op.path.slice(0, -1).reduce((node, key) => node[key], result);
+        const key = op.path[op.path.length - 1];
+        switch (op.op) {
+            case 'set':
+                parent[key] = op.value;
+                break;
+            case 'remove':
+                delete parent[key];
+                break;
+            case 'append':
+                parent[key].push(...op.values);
+                break;
+            case 'truncate':
+                parent[key].length = op.length;
+                break;
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    diffState,
+    applyPatch
+};
@@ -0,0 +1,142 @@
+// Game results and player statistics for bigtable
+// When a room's game ends the server turns it into a result and keeps it
+// (see statsStore.js). A result looks like:
+//   id          - random id for this result
+//   roomCode    - room the game was played in
+//   format      - 'commander', 'brawl'...
+//   finishedAt  - ISO 8601 timestamp
+//   turns       - turn number the game ended on
+//   winnerId    - player id of the winner (null for a draw)
+//   players     - one entry per seat: { playerId, profileId, name, color,
+//                 commanders, placement, eliminationCause }
+// Placement 1 is the winner; the rest are ranked by how long they lasted,
+// and players knocked out by the same action share a placement. In a draw
+// everyone knocked out last shares placement 1, but nobody has won.
+// Only players with a profile (profileId) count toward the statistics.
+
+// Turn a finished game into a result
+function buildGameResult(id, roomCode, room) {
+    // Still standing beats going out late beats going out early
+    // (eliminatedAt is missing in games saved before it existed)
+    const lasted = (player) => {
+        if (!player.eliminated) return Infinity;
+        return player.eliminatedAt != null ? player.eliminatedAt : -1;
+    };
+
+    const seated = room.seatOrder
+        .map(playerId => room.players.find(p => p.id === playerId))
+        .filter(Boolean);
+
+    return {
+        id: id,
+        roomCode: roomCode,
+        format: room.settings.format,
+        finishedAt: new Date().toISOString(),
+        turns: room.turnNumber,
+        winnerId: room.gameOver ? room.gameOver.winnerId : null,
+        players: seated.map(player => ({
+            playerId: player.id,
+            profileId: player.profileId || null,
+            name: player.name,
+            color: player.color,
+            commanders: player.commanders.slice(),
+            placement: 1 + seated.filter(other => lasted(other) > lasted(player)).length,
+            eliminationCause: player.eliminationCause
+        }))
+    };
+}
+
+// Results matching the optional filters, newest first
+// filters: { profileId, format, since (a Date) }
+function filterGames(games, filters = {}) {
+    return games
+        .filter(game => !filters.profileId || game.players.some(p => p.profileId === filters.profileId))
+        .filter(game => !filters.format || game.format === filters.format)
+        .filter(game => !filters.since || new Date(game.finishedAt) >= filters.since)
+        .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+}
+
+// Win rate as a fraction, to 3 decimal places (0 before any games)
+function winRate(wins, played) {
+    return played ? Math.round((wins / played) * 1000) / 1000 : 0;
+}
+
+// Games, wins and win rate for one profile
+// Only the game's winner gets a win (a shared placement 1 is a draw)
+function getProfileStats(games, profileId) {
+    let played = 0;
+    let wins = 0;
+    let placements = 0;
+
+    games.forEach(game => {
+        const entry = game.players.find(p => p.profileId === profileId);
+        if (!entry) return;
+        played++;
+        placements += entry.placement;
+        if (game.winnerId && entry.playerId === game.winnerId) wins++;
+    });
+
+    return {
+        games: played,
+        wins: wins,
+        winRate: winRate(wins, played),
+        averagePlacement: played ? Math.round((placements / played) * 100) / 100 : null
+    };
+}
+
+// Every profile that has played, best first
+// Ranked by wins, then win rate, then games played
+function getLeaderboard(games, profiles) {
+    const profileIds = new Set();
+    games.forEach(game => game.players.forEach(p => {
+        if (p.profileId && profiles[p.profileId]) profileIds.add(p.profileId);
+    }));
+
+    return Array.from(profileIds)
+        .map(profileId => ({
+            profileId: profileId,
+            name: profiles[profileId].name,
+            color: profiles[profileId].color,
+            ...getProfileStats(games, profileId)
+        }))
+        .sort((a, b) => b.wins - a.wins || b.winRate - a.winRate || b.games - a.games);
+}
+
+// One profile's record against every other profile they've played
+// A win means finishing ahead of them, a loss finishing behind (shared placements count as neither)
+function getHeadToHead(games, profiles, profileId) {
+    const records = {};
+
+    games.forEach(game => {
+        const me = game.players.find(p => p.profileId === profileId);
+        if (!me) return;
+
+        game.players.forEach(other => {
+            if (!other.profileId || other.profileId === profileId || !profiles[other.profileId]) return;
+
+            const record = records[other.profileId] || { games: 0, wins: 0, losses: 0 };
+            record.games++;
+            if (me.placement < other.placement) record.wins++;
+            if (me.placement > other.placement) record.losses++;
+            records[other.profileId] = record;
+        });
+    });
+
+    return Object.entries(records)
+        .map(([opponentId, record]) => ({
+            profileId: opponentId,
+            name: profiles[opponentId].name,
+            color: profiles[opponentId].color,
+            ...record,
+            winRate: winRate(record.wins, record.games)
+        }))
+        .sort((a, b) => b.games - a.games || b.winRate - a.winRate);
+}
+
+module.exports = {
+    buildGameResult,
+    filterGames,
+    getProfileStats,
+    getLeaderboard,
+    getHeadToHead
+};
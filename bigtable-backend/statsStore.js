@@ -0,0 +1,104 @@
+// Player profile and game result storage for the bigtable server
+// Unlike rooms, these outlive any one game: profiles are kept for good and
+// every finished game is added to the results (see stats.js).
+// A store only has to do four things:
+//   load()                 -> { profiles: { profileId: profile }, games: [game] } from a previous run
+//   saveProfile(profile)   -> remember a new or changed profile
+//   saveGame(game)         -> remember a finished game
+//   removeGame(gameId)     -> forget a game (its game over was undone)
+
+const fs = require('fs');
+const path = require('path');
+
+// Default store: nothing is written, profiles and results are lost on restart
+function createMemoryStatsStore() {
+    return {
+        load() {
+            return { profiles: {}, games: [] };
+        },
+        saveProfile() {},
+        saveGame() {},
+        removeGame() {}
+    };
+}
+
+// File store: profiles in one small JSON file, games in an append-only journal
+// Profiles are few and rarely change, so the whole file is rewritten each time;
+// games only ever grow, so each one is a line of its own.
+function createFileStatsStore(directory) {
+    const profilesFile = path.join(directory, 'profiles.json');
+    const gamesFile = path.join(directory, 'games.journal');
+
+    // Profiles as last written, used to rewrite the file
+    let profiles = {};
+
+    fs.mkdirSync(directory, { recursive: true });
+
+    // Written to a temp file first so a crash can't leave half a file
+    function writeProfiles() {
+        const tempFile = `${profilesFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(profiles));
+        fs.renameSync(tempFile, profilesFile);
+    }
+
+    return {
+        load() {
+            if (fs.existsSync(profilesFile)) {
+                profiles = JSON.parse(fs.readFileSync(profilesFile, 'utf8'));
+            }
+
+            // Replay the journal; a game saved again (e.g. finished twice) replaces the first
+            const games = new Map();
+            if (fs.existsSync(gamesFile)) {
+                const lines = fs.readFileSync(gamesFile, 'utf8').split('\n');
+                lines.forEach(line => {
+                    if (!line.trim()) return;
+                    try {
+                        const entry = JSON.parse(line);
+                        if (entry.op === 'save') {
+                            games.set(entry.game.id, entry.game);
+                        } else if (entry.op === 'remove') {
+                            games.delete(entry.gameId);
+                        }
+                    } catch (error) {
+                        // Last line may be cut short by a crash - skip it
+                        console.error('Skipping unreadable games journal line');
+                    }
+                });
+            }
+
+            return {
+                profiles: JSON.parse(JSON.stringify(profiles)),
+                games: Array.from(games.values())
+            };
+        },
+
+        saveProfile(profile) {
+            profiles[profile.id] = profile;
+            writeProfiles();
+        },
+
+        saveGame(game) {
+            fs.appendFileSync(gamesFile, JSON.stringify({ op: 'save', game: game }) + '\n');
+        },
+
+        removeGame(gameId) {
+            fs.appendFileSync(gamesFile, JSON.stringify({ op: 'remove', gameId: gameId }) + '\n');
+        }
+    };
+}
+
+// Pick a store from environment settings
+// STATS_STORE=file saves profiles and results under STATS_STORE_DIR (default ./data)
+function createStatsStore(env) {
+    if (env.STATS_STORE === 'file') {
+        return createFileStatsStore(env.STATS_STORE_DIR || path.join(__dirname, 'data'));
+    }
+    return createMemoryStatsStore();
+}
+
+module.exports = {
+    createMemoryStatsStore,
+    createFileStatsStore,
+    createStatsStore
+};
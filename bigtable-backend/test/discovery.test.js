@@ -0,0 +1,24 @@
+// Tests for LAN discovery (discovery.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { startDiscovery } = require('../discovery');
+
+test('stopping after a bind error does not throw', async () => {
+    // Hold the port without reuseAddr, so discovery can't bind it
+    const blocker = dgram.createSocket('udp4');
+    await new Promise(resolve => blocker.bind(0, resolve));
+    const port = blocker.address().port;
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const stop = startDiscovery({ DISCOVERY_PORT: String(port) }, { port: 3000, getRooms: () => 0 });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.doesNotThrow(stop);
+        assert.doesNotThrow(stop);
+    } finally {
+        console.error = originalError;
+        blocker.close();
+    }
+});
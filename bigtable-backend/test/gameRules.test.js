@@ -0,0 +1,525 @@
+// Tests for the shared rules engine (shared/gameRules.js)
+// Run with `npm test` from bigtable-backend
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    POISON_LETHAL,
+    buildRoomSettings,
+    createPlayer,
+    checkEliminations,
+    reduce
+} = require('../../shared/gameRules');
+
+// A fresh game for `count` players (player1 is the host and goes first)
+function newGame(count = 3, format = 'commander', overrides) {
+    const { settings } = buildRoomSettings(format, overrides);
+    const players = [];
+    for (let i = 0; i < count; i++) {
+        players.push(createPlayer(`player${i + 1}`, i, settings));
+    }
+    return {
+        settings: settings,
+        hostId: 'player1',
+        players: players,
+        seatOrder: players.map(p => p.id),
+        activePlayerId: 'player1',
+        turnNumber: 1,
+        gameOver: null,
+        history: { undo: [], redo: [] },
+        gameLog: []
+    };
+}
+
+// Apply several actions in a row; fails the test if any is rejected
+function play(state, ...actions) {
+    return actions.reduce((current, action) => {
+        const { state: next, events } = reduce(current, action);
+        const error = events.find(event => event.type === 'ERROR');
+        assert.equal(error, undefined, error && error.message);
+        return next;
+    }, state);
+}
+
+// The ERROR event an action is rejected with
+function rejection(state, action) {
+    const { state: next, events } = reduce(state, action);
+    assert.equal(next, state, 'a rejected action leaves the state as it was');
+    return events.find(event => event.type === 'ERROR');
+}
+
+const player = (state, id) => state.players.find(p => p.id === id);
+
+test('reduce never changes the state passed in', () => {
+    const game = newGame();
+    const before = JSON.stringify(game);
+    reduce(game, { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player1', delta: -5 });
+    assert.equal(JSON.stringify(game), before);
+});
+
+test('unknown actions return the same state', () => {
+    const game = newGame();
+    const { state, events } = reduce(game, { type: 'PING', actorId: 'player1' });
+    assert.equal(state, game);
+    assert.deepEqual(events, []);
+});
+
+test.describe('UPDATE_LIFE', () => {
+    test('applies a signed delta and logs it', () => {
+        const game = play(newGame(), { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player1', delta: -7 });
+        assert.equal(player(game, 'player1').life, 33);
+        const entry = game.gameLog[game.gameLog.length - 1];
+        assert.equal(entry.action, 'UPDATE_LIFE');
+        assert.equal(entry.before, 40);
+        assert.equal(entry.after, 33);
+    });
+
+    test('never goes below 0', () => {
+        const game = play(newGame(), { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player2', delta: -100 });
+        assert.equal(player(game, 'player2').life, 0);
+    });
+
+    test('a change that does nothing returns the same state', () => {
+        const game = play(newGame(), { type: 'SET_LIFE', actorId: 'player1', playerId: 'player2', life: 0 });
+        const { state } = reduce(game, { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player2', delta: -1 });
+        assert.equal(state, game);
+    });
+});
+
+test.describe('SET_LIFE', () => {
+    test('sets an exact total', () => {
+        const game = play(newGame(), { type: 'SET_LIFE', actorId: 'player2', playerId: 'player2', life: 12 });
+        assert.equal(player(game, 'player2').life, 12);
+    });
+
+    test('the same total is no change', () => {
+        const game = newGame();
+        assert.equal(reduce(game, { type: 'SET_LIFE', actorId: 'player1', playerId: 'player1', life: 40 }).state, game);
+    });
+});
+
+test.describe('canEditPlayer permissions', () => {
+    test('players may edit themselves', () => {
+        const game = play(newGame(), { type: 'UPDATE_LIFE', actorId: 'player2', playerId: 'player2', delta: -1 });
+        assert.equal(player(game, 'player2').life, 39);
+    });
+
+    test('players may not edit opponents', () => {
+        const game = newGame();
+        assert.equal(rejection(game, { type: 'UPDATE_LIFE', actorId: 'player2', playerId: 'player3', delta: -1 }).code, 'NOT_AUTHORIZED');
+        assert.equal(rejection(game, { type: 'SET_LIFE', actorId: 'player2', playerId: 'player3', life: 1 }).code, 'NOT_AUTHORIZED');
+        assert.equal(rejection(game, { type: 'UPDATE_COUNTER', actorId: 'player2', playerId: 'player3', counter: 'poison', delta: 1 }).code, 'NOT_AUTHORIZED');
+    });
+
+    test('the host may edit anyone', () => {
+        const game = play(newGame(), { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player3', delta: -2 });
+        assert.equal(player(game, 'player3').life, 38);
+    });
+
+    test('allowOpponentEdits lets anyone edit anyone', () => {
+        const game = play(newGame(3, 'commander', { allowOpponentEdits: true }),
+            { type: 'UPDATE_LIFE', actorId: 'player2', playerId: 'player3', delta: -2 },
+            { type: 'UPDATE_COUNTER', actorId: 'player2', playerId: 'player3', counter: 'energy', delta: 2 });
+        assert.equal(player(game, 'player3').life, 38);
+        assert.equal(player(game, 'player3').counters.energy, 2);
+    });
+
+    test('checkPermissions: false skips the checks', () => {
+        const { state } = reduce(newGame(), { type: 'UPDATE_LIFE', actorId: 'player2', playerId: 'player3', delta: -1 }, { checkPermissions: false });
+        assert.equal(player(state, 'player3').life, 39);
+    });
+});
+
+test.describe('UPDATE_COMMANDER_DAMAGE', () => {
+    const partners = (game) => play(game, { type: 'SET_COMMANDERS', actorId: 'player1', playerId: 'player1', commanders: ['Tymna', 'Thrasios'] });
+
+    test('tracks damage per commander and takes it off life', () => {
+        let game = partners(newGame());
+        game = play(game,
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', commander: 0, damage: 5 },
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', commander: 1, damage: 3 });
+        assert.deepEqual(player(game, 'player2').commanderDamage, { player1: { 0: 5, 1: 3 } });
+        assert.equal(player(game, 'player2').life, 32);
+    });
+
+    test('lowering damage gives the life back', () => {
+        const game = play(newGame(),
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', damage: 6 },
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', damage: 2 });
+        assert.equal(player(game, 'player2').life, 38);
+    });
+
+    test('rejects a commander the source does not have', () => {
+        const error = rejection(newGame(), { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', commander: 1, damage: 3 });
+        assert.equal(error.code, 'INVALID_FIELD');
+        assert.equal(error.field, 'commander');
+    });
+
+    test('source or target may record it, nobody else', () => {
+        const game = newGame();
+        play(game, { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player2', sourcePlayerId: 'player2', targetPlayerId: 'player3', damage: 1 });
+        play(game, { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player3', sourcePlayerId: 'player2', targetPlayerId: 'player3', damage: 1 });
+        assert.equal(rejection(game, { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player3', sourcePlayerId: 'player1', targetPlayerId: 'player2', damage: 1 }).code, 'NOT_AUTHORIZED');
+    });
+
+    test('does nothing in formats without commander damage', () => {
+        const game = newGame(2, 'standard');
+        assert.equal(reduce(game, { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', damage: 3 }).state, game);
+    });
+});
+
+test.describe('UPDATE_COUNTER', () => {
+    test('sets built-in and custom counters', () => {
+        const game = play(newGame(),
+            { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player1', counter: 'commanderTax', delta: 4 },
+            { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player1', counter: 'Rad', delta: 2 });
+        assert.deepEqual(player(game, 'player1').counters, { commanderTax: 4, Rad: 2 });
+    });
+
+    test('changes add to the current value and stay within 0 to 999', () => {
+        let game = play(newGame(),
+            { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player1', counter: 'energy', delta: 3 },
+            { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player1', counter: 'energy', delta: 2 });
+        assert.equal(player(game, 'player1').counters.energy, 5);
+        game = play(game, { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player1', counter: 'energy', delta: 999 });
+        assert.equal(player(game, 'player1').counters.energy, 999);
+        game = play(game, { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player1', counter: 'energy', delta: -999 });
+        assert.deepEqual(player(game, 'player1').counters, {});
+        assert.equal(reduce(game, { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player1', counter: 'energy', delta: -1 }).state, game);
+    });
+
+    test('counters at 0 are dropped', () => {
+        const game = play(newGame(),
+            { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player1', counter: 'energy', delta: 2 },
+            { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player1', counter: 'energy', delta: -2 });
+        assert.deepEqual(player(game, 'player1').counters, {});
+    });
+
+    test('names from Object.prototype start at 0', () => {
+        const game = play(newGame(), { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player1', counter: 'constructor', delta: 1 });
+        assert.equal(player(game, 'player1').counters.constructor, 1);
+    });
+});
+
+test.describe('UPDATE_NAME', () => {
+    test('trims and logs the new name', () => {
+        const game = play(newGame(), { type: 'UPDATE_NAME', actorId: 'player2', playerId: 'player2', name: '  Bob ' });
+        assert.equal(player(game, 'player2').name, 'Bob');
+        assert.equal(game.gameLog[game.gameLog.length - 1].before, 'Player 2');
+    });
+
+    test('only the host may rename someone else', () => {
+        assert.equal(rejection(newGame(3, 'commander', { allowOpponentEdits: true }),
+            { type: 'UPDATE_NAME', actorId: 'player2', playerId: 'player3', name: 'X' }).code, 'NOT_AUTHORIZED');
+        const game = play(newGame(), { type: 'UPDATE_NAME', actorId: 'player1', playerId: 'player3', name: 'Cat' });
+        assert.equal(player(game, 'player3').name, 'Cat');
+    });
+});
+
+test.describe('SET_COMMANDERS', () => {
+    test('sets one or two trimmed names', () => {
+        const game = play(newGame(), { type: 'SET_COMMANDERS', actorId: 'player2', playerId: 'player2', commanders: [' Tymna', 'Thrasios '] });
+        assert.deepEqual(player(game, 'player2').commanders, ['Tymna', 'Thrasios']);
+    });
+
+    test('only the player or the host may change them', () => {
+        assert.equal(rejection(newGame(), { type: 'SET_COMMANDERS', actorId: 'player2', playerId: 'player3', commanders: ['X'] }).code, 'NOT_AUTHORIZED');
+    });
+
+    test('dropping a partner drops the damage it dealt', () => {
+        let game = play(newGame(),
+            { type: 'SET_COMMANDERS', actorId: 'player1', playerId: 'player1', commanders: ['Tymna', 'Thrasios'] },
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', commander: 0, damage: 4 },
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', commander: 1, damage: 21 },
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player3', commander: 1, damage: 2 });
+        assert.equal(player(game, 'player2').eliminationCause, 'commander');
+
+        game = play(game, { type: 'SET_COMMANDERS', actorId: 'player1', playerId: 'player1', commanders: ['Tymna'] });
+        assert.deepEqual(player(game, 'player2').commanderDamage, { player1: { 0: 4 } });
+        assert.deepEqual(player(game, 'player3').commanderDamage, {});
+        assert.equal(player(game, 'player2').eliminated, false);
+        assert.equal(player(game, 'player2').life, 15);
+
+        game = play(game, { type: 'UNDO', actorId: 'player1' });
+        assert.deepEqual(player(game, 'player2').commanderDamage, { player1: { 0: 4, 1: 21 } });
+        assert.equal(player(game, 'player2').eliminated, true);
+    });
+});
+
+test.describe('RESET_GAME', () => {
+    test('puts everyone back to the start and keeps the log', () => {
+        let game = play(newGame(),
+            { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player2', delta: -40 },
+            { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player3', counter: 'poison', delta: 3 },
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player3', damage: 4 },
+            { type: 'NEXT_TURN', actorId: 'player1' });
+        const logLength = game.gameLog.length;
+        game = play(game, { type: 'RESET_GAME', actorId: 'player1' });
+
+        game.players.forEach(p => {
+            assert.equal(p.life, 40);
+            assert.deepEqual(p.counters, {});
+            assert.deepEqual(p.commanderDamage, {});
+            assert.equal(p.eliminated, false);
+        });
+        assert.equal(game.turnNumber, 1);
+        assert.equal(game.activePlayerId, 'player1');
+        assert.equal(game.gameOver, null);
+        assert.equal(game.gameLog.length, logLength + 1);
+    });
+
+    test('is host only', () => {
+        assert.equal(rejection(newGame(), { type: 'RESET_GAME', actorId: 'player2' }).code, 'NOT_AUTHORIZED');
+    });
+});
+
+test.describe('NEXT_TURN', () => {
+    test('moves to the next seat and counts the turn', () => {
+        const game = play(newGame(), { type: 'NEXT_TURN', actorId: 'player1' });
+        assert.equal(game.activePlayerId, 'player2');
+        assert.equal(game.turnNumber, 2);
+    });
+
+    test('wraps round the table and skips eliminated players', () => {
+        const game = play(newGame(),
+            { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player2', delta: -40 },
+            { type: 'NEXT_TURN', actorId: 'player1' });
+        assert.equal(game.activePlayerId, 'player3');
+        assert.equal(play(game, { type: 'NEXT_TURN', actorId: 'player3' }).activePlayerId, 'player1');
+    });
+
+    test('a turn back to the same player can be undone', () => {
+        // Solo game: every turn is the same player's
+        let game = play(newGame(1), { type: 'NEXT_TURN', actorId: 'player1' }, { type: 'NEXT_TURN', actorId: 'player1' });
+        assert.equal(game.turnNumber, 3);
+        game = play(game, { type: 'UNDO', actorId: 'player1' });
+        assert.equal(game.turnNumber, 2);
+
+        // One player left once the game is over
+        game = play(newGame(2),
+            { type: 'SET_LIFE', actorId: 'player1', playerId: 'player2', life: 0 },
+            { type: 'NEXT_TURN', actorId: 'player1' });
+        assert.equal(game.activePlayerId, 'player1');
+        assert.equal(game.turnNumber, 2);
+        game = play(game, { type: 'UNDO', actorId: 'player1' });
+        assert.equal(game.turnNumber, 1);
+        assert.equal(player(game, 'player2').eliminated, true);
+    });
+
+    test('only the active player or the host may end the turn', () => {
+        assert.equal(rejection(newGame(), { type: 'NEXT_TURN', actorId: 'player2' }).code, 'NOT_AUTHORIZED');
+        const game = play(newGame(), { type: 'NEXT_TURN', actorId: 'player1' }, { type: 'NEXT_TURN', actorId: 'player1' });
+        assert.equal(game.activePlayerId, 'player3');
+    });
+});
+
+test.describe('PASS_TURN_TO', () => {
+    test('hands the turn to a chosen seat', () => {
+        const game = play(newGame(), { type: 'PASS_TURN_TO', actorId: 'player1', playerId: 'player3' });
+        assert.equal(game.activePlayerId, 'player3');
+        assert.equal(game.turnNumber, 2);
+    });
+
+    test('ignores players who are not seated', () => {
+        const game = newGame();
+        assert.equal(reduce(game, { type: 'PASS_TURN_TO', actorId: 'player1', playerId: 'player9' }).state, game);
+    });
+
+    test('only the active player or the host may pass', () => {
+        assert.equal(rejection(newGame(), { type: 'PASS_TURN_TO', actorId: 'player3', playerId: 'player3' }).code, 'NOT_AUTHORIZED');
+    });
+});
+
+test.describe('SET_SEAT_ORDER', () => {
+    test('changes the order', () => {
+        const game = play(newGame(), { type: 'SET_SEAT_ORDER', actorId: 'player1', seatOrder: ['player3', 'player1', 'player2'] });
+        assert.deepEqual(game.seatOrder, ['player3', 'player1', 'player2']);
+    });
+
+    test('must list every player exactly once', () => {
+        const game = newGame();
+        const invalid = [['player1', 'player2'], ['player1', 'player1', 'player2'], ['player1', 'player2', 'player9'], ['player1', 'player2', 'player3', 'player4']];
+        invalid.forEach(seatOrder => {
+            assert.equal(rejection(game, { type: 'SET_SEAT_ORDER', actorId: 'player1', seatOrder }).code, 'INVALID_SEAT_ORDER');
+        });
+    });
+
+    test('is host only', () => {
+        assert.equal(rejection(newGame(), { type: 'SET_SEAT_ORDER', actorId: 'player2', seatOrder: ['player3', 'player2', 'player1'] }).code, 'NOT_AUTHORIZED');
+    });
+});
+
+test.describe('KICK_PLAYER', () => {
+    test('removes the player and reports it', () => {
+        const { state, events } = reduce(newGame(), { type: 'KICK_PLAYER', actorId: 'player1', playerId: 'player2' });
+        assert.deepEqual(state.players.map(p => p.id), ['player1', 'player3']);
+        assert.deepEqual(state.seatOrder, ['player1', 'player3']);
+        assert.deepEqual(events, [{ type: 'PLAYER_REMOVED', playerId: 'player2' }]);
+    });
+
+    test('passes the turn on if it was theirs', () => {
+        const game = play(newGame(), { type: 'NEXT_TURN', actorId: 'player1' }, { type: 'KICK_PLAYER', actorId: 'player1', playerId: 'player2' });
+        assert.equal(game.activePlayerId, 'player3');
+    });
+
+    test('can end the game', () => {
+        const { state, events } = reduce(newGame(2), { type: 'KICK_PLAYER', actorId: 'player1', playerId: 'player2' });
+        assert.equal(state.players.length, 1);
+        // One player left isn't a finished game (a solo game never ends)
+        assert.equal(state.gameOver, null);
+        assert.equal(events.length, 1);
+
+        const three = play(newGame(), { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player3', delta: -40 });
+        const kicked = reduce(three, { type: 'KICK_PLAYER', actorId: 'player1', playerId: 'player2' });
+        assert.deepEqual(kicked.state.gameOver, { winnerId: 'player1' });
+        assert.ok(kicked.events.some(event => event.type === 'GAME_OVER'));
+    });
+
+    test('the host cannot kick themselves and non-hosts cannot kick', () => {
+        const game = newGame();
+        assert.equal(reduce(game, { type: 'KICK_PLAYER', actorId: 'player1', playerId: 'player1' }).state, game);
+        assert.equal(rejection(game, { type: 'KICK_PLAYER', actorId: 'player2', playerId: 'player3' }).code, 'NOT_AUTHORIZED');
+    });
+});
+
+test.describe('REMOVE_PLAYER', () => {
+    test('removes a seat and hands the host role on', () => {
+        const { state, events } = reduce(newGame(), { type: 'REMOVE_PLAYER', playerId: 'player1', reason: 'left the game' });
+        assert.equal(state.hostId, 'player2');
+        assert.equal(state.activePlayerId, 'player2');
+        assert.deepEqual(events, [{ type: 'PLAYER_REMOVED', playerId: 'player1' }]);
+        assert.ok(state.gameLog.some(entry => entry.action === 'HOST_CHANGED'));
+        assert.equal(state.gameLog[state.gameLog.length - 1].message, 'Player 1 left the game');
+    });
+
+    test('unknown players are ignored', () => {
+        const game = newGame();
+        assert.equal(reduce(game, { type: 'REMOVE_PLAYER', playerId: 'player9' }).state, game);
+    });
+});
+
+test.describe('UPDATE_SETTINGS', () => {
+    test('changes values but not the format', () => {
+        const game = play(newGame(), { type: 'UPDATE_SETTINGS', actorId: 'player1', settings: { startingLife: 30, format: 'standard' } });
+        assert.equal(game.settings.startingLife, 30);
+        assert.equal(game.settings.format, 'commander');
+    });
+
+    test('rejects bad values and a max below the seated players', () => {
+        const game = newGame();
+        assert.equal(rejection(game, { type: 'UPDATE_SETTINGS', actorId: 'player1', settings: { startingLife: 0 } }).code, 'INVALID_SETTINGS');
+        assert.equal(rejection(game, { type: 'UPDATE_SETTINGS', actorId: 'player1', settings: { maxPlayers: 2 } }).code, 'INVALID_SETTINGS');
+    });
+
+    test('is host only', () => {
+        assert.equal(rejection(newGame(), { type: 'UPDATE_SETTINGS', actorId: 'player2', settings: { hidden: true } }).code, 'NOT_AUTHORIZED');
+    });
+
+    test('turning commander damage off brings players back', () => {
+        let game = play(newGame(), { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', damage: 21 });
+        assert.equal(player(game, 'player2').eliminationCause, 'commander');
+        game = play(game, { type: 'UPDATE_SETTINGS', actorId: 'player1', settings: { commanderDamage: false } });
+        assert.equal(player(game, 'player2').eliminated, false);
+    });
+});
+
+test.describe('UNDO and REDO', () => {
+    test('undo puts the game back, redo does it again', () => {
+        let game = play(newGame(), { type: 'UPDATE_LIFE', actorId: 'player2', playerId: 'player2', delta: -5 });
+        game = play(game, { type: 'UNDO', actorId: 'player2' });
+        assert.equal(player(game, 'player2').life, 40);
+        assert.equal(game.history.undo.length, 0);
+        game = play(game, { type: 'REDO', actorId: 'player2' });
+        assert.equal(player(game, 'player2').life, 35);
+    });
+
+    test('a new action clears redo', () => {
+        const game = play(newGame(),
+            { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player1', delta: -1 },
+            { type: 'UNDO', actorId: 'player1' },
+            { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player1', delta: -2 });
+        assert.equal(game.history.redo.length, 0);
+    });
+
+    test('nothing to undo or redo', () => {
+        assert.equal(rejection(newGame(), { type: 'UNDO', actorId: 'player1' }).code, 'NOTHING_TO_UNDO');
+        assert.equal(rejection(newGame(), { type: 'REDO', actorId: 'player1' }).code, 'NOTHING_TO_UNDO');
+    });
+
+    test('players may only undo their own actions or changes to them', () => {
+        const game = play(newGame(), { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player2', delta: -3 });
+        assert.equal(rejection(game, { type: 'UNDO', actorId: 'player3' }).code, 'NOT_AUTHORIZED');
+        assert.equal(player(play(game, { type: 'UNDO', actorId: 'player2' }), 'player2').life, 40);
+    });
+
+    test('undoing the game-ending action resumes the game, redo ends it again', () => {
+        let game = play(newGame(2), { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player2', delta: -40 });
+        assert.deepEqual(game.gameOver, { winnerId: 'player1' });
+        game = play(game, { type: 'UNDO', actorId: 'player1' });
+        assert.equal(game.gameOver, null);
+        assert.equal(player(game, 'player2').eliminated, false);
+
+        const { state, events } = reduce(game, { type: 'REDO', actorId: 'player1' });
+        assert.deepEqual(state.gameOver, { winnerId: 'player1' });
+        assert.ok(events.some(event => event.type === 'GAME_OVER'));
+    });
+});
+
+test.describe('updateEliminations', () => {
+    test('life at 0 eliminates', () => {
+        const game = play(newGame(), { type: 'SET_LIFE', actorId: 'player1', playerId: 'player2', life: 0 });
+        assert.equal(player(game, 'player2').eliminationCause, 'life');
+        assert.ok(Number.isInteger(player(game, 'player2').eliminatedAt));
+    });
+
+    test('lethal damage from one commander eliminates, split damage does not', () => {
+        let game = play(newGame(), { type: 'SET_COMMANDERS', actorId: 'player1', playerId: 'player1', commanders: ['Tymna', 'Thrasios'] });
+        game = play(game,
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', commander: 0, damage: 20 },
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', commander: 1, damage: 15 });
+        assert.equal(player(game, 'player2').eliminated, false);
+        game = play(game, { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', commander: 0, damage: 21 });
+        assert.equal(player(game, 'player2').eliminationCause, 'commander');
+    });
+
+    test(`${POISON_LETHAL} poison eliminates`, () => {
+        let game = play(newGame(), { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player3', counter: 'poison', delta: POISON_LETHAL - 1 });
+        assert.equal(player(game, 'player3').eliminated, false);
+        game = play(game, { type: 'UPDATE_COUNTER', actorId: 'player1', playerId: 'player3', counter: 'poison', delta: 1 });
+        assert.equal(player(game, 'player3').eliminationCause, 'poison');
+    });
+
+    test('correcting a mistake brings a player back', () => {
+        let game = play(newGame(), { type: 'SET_LIFE', actorId: 'player1', playerId: 'player2', life: 0 });
+        game = play(game, { type: 'SET_LIFE', actorId: 'player1', playerId: 'player2', life: 5 });
+        assert.equal(player(game, 'player2').eliminated, false);
+        assert.equal(player(game, 'player2').eliminatedAt, null);
+        assert.equal(game.gameLog[game.gameLog.length - 1].action, 'REVIVED');
+    });
+
+    test('the last player standing wins', () => {
+        let game = play(newGame(), { type: 'SET_LIFE', actorId: 'player1', playerId: 'player2', life: 0 });
+        assert.equal(game.gameOver, null);
+        const { state, events } = reduce(game, { type: 'SET_LIFE', actorId: 'player1', playerId: 'player3', life: 0 });
+        assert.deepEqual(state.gameOver, { winnerId: 'player1' });
+        assert.deepEqual(events, [{ type: 'GAME_OVER', winnerId: 'player1' }]);
+    });
+
+    test('everyone out at once is a draw', () => {
+        const game = play(newGame(2, 'commander', { allowOpponentEdits: true }),
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player2', targetPlayerId: 'player1', damage: 20 },
+            { type: 'UPDATE_COMMANDER_DAMAGE', actorId: 'player1', sourcePlayerId: 'player1', targetPlayerId: 'player2', damage: 20 });
+        const { state, events } = reduce(game, { type: 'UPDATE_SETTINGS', actorId: 'player1', settings: { commanderDamageLethal: 20 } });
+        assert.ok(state.players.every(p => p.eliminated));
+        assert.equal(player(state, 'player1').eliminatedAt, player(state, 'player2').eliminatedAt);
+        assert.deepEqual(state.gameOver, { winnerId: null });
+        assert.deepEqual(events, [{ type: 'GAME_OVER', winnerId: null }]);
+    });
+
+    test('checkEliminations re-checks a game from elsewhere', () => {
+        const game = newGame(2);
+        game.players[1].life = 0;
+        const { state, events } = checkEliminations(game);
+        assert.equal(player(state, 'player2').eliminated, true);
+        assert.deepEqual(events, [{ type: 'GAME_OVER', winnerId: 'player1' }]);
+    });
+});
@@ -0,0 +1,112 @@
+// Tests for the file room store (roomStore.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../roomStore');
+
+// Journal lines are written in the background
+const flushed = () => new Promise(resolve => setTimeout(resolve, 50));
+
+function tempDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bigtable-rooms-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('rooms survive a restart', async (t) => {
+    const directory = tempDirectory(t);
+    const store = createFileStore(directory);
+    store.load();
+
+    const room = { turnNumber: 1, gameLog: [] };
+    for (let i = 0; i < 50; i++) {
+        room.turnNumber = i + 1;
+        room.gameLog.push({ message: `Turn ${i + 1}` });
+        store.save('ABCD', room);
+    }
+    store.save('WXYZ', { turnNumber: 1, gameLog: [] });
+    store.remove('WXYZ');
+    await flushed();
+
+    const rooms = createFileStore(directory).load();
+    assert.deepEqual(Object.keys(rooms), ['ABCD']);
+    assert.deepEqual(rooms.ABCD, room);
+});
+
+test('the journal only holds what changed', async (t) => {
+    const directory = tempDirectory(t);
+    const store = createFileStore(directory);
+    store.load();
+
+    const room = { gameLog: [] };
+    for (let i = 0; i < 200; i++) {
+        room.gameLog.push({ message: 'x'.repeat(100) });
+        store.save('ABCD', room);
+    }
+    await flushed();
+
+    // One small line per save; full copies would be about 200 * 100 * 100 bytes
+    const journalSize = fs.statSync(path.join(directory, 'rooms.journal')).size;
+    assert.ok(journalSize < 200 * 300, `journal is ${journalSize} bytes`);
+});
+
+test('lines already in the snapshot are skipped', async (t) => {
+    const directory = tempDirectory(t);
+    const store = createFileStore(directory);
+    store.load();
+    store.save('ABCD', { life: 40 });
+    store.save('ABCD', { life: 35 });
+    await flushed();
+
+    // Compacted on load, so the snapshot holds both lines
+    createFileStore(directory).load();
+    fs.appendFileSync(path.join(directory, 'rooms.journal'),
+        JSON.stringify({ sequence: 2, op: 'patch', roomCode: 'ABCD', ops: [{ op: 'set', path: ['life'], value: 35 }] }) + '\n');
+
+    assert.deepEqual(createFileStore(directory).load(), { ABCD: { life: 35 } });
+});
+
+test('snapshots from before numbering still load', (t) => {
+    const directory = tempDirectory(t);
+    fs.writeFileSync(path.join(directory, 'rooms.json'), JSON.stringify({ ABCD: { life: 20 } }));
+    fs.writeFileSync(path.join(directory, 'rooms.journal'),
+        JSON.stringify({ op: 'save', roomCode: 'WXYZ', room: { life: 30 } }) + '\n' + '{"op":"sa');
+
+    assert.deepEqual(createFileStore(directory).load(), { ABCD: { life: 20 }, WXYZ: { life: 30 } });
+});
+
+test('the journal restarts cleanly while lines are still being written', async (t) => {
+    const directory = tempDirectory(t);
+    const store = createFileStore(directory);
+    store.load();
+
+    // About 2KB per line, so the journal outgrows the minimum and is restarted
+    const room = { gameLog: [] };
+    for (let i = 0; i < 600; i++) {
+        room.gameLog.push({ message: 'x'.repeat(2000) });
+        store.save('ABCD', room);
+    }
+    await flushed();
+
+    assert.ok(!fs.existsSync(path.join(directory, 'rooms.journal.next')));
+    const snapshot = JSON.parse(fs.readFileSync(path.join(directory, 'rooms.json'), 'utf8'));
+    const lines = fs.readFileSync(path.join(directory, 'rooms.journal'), 'utf8').trim().split('\n');
+    lines.forEach((line, i) => {
+        assert.equal(JSON.parse(line).sequence, snapshot.sequence + i + 1);
+    });
+    assert.deepEqual(createFileStore(directory).load(), { ABCD: room });
+});
+
+test('a journal left under its temporary name is replayed', (t) => {
+    const directory = tempDirectory(t);
+    fs.writeFileSync(path.join(directory, 'rooms.json'), JSON.stringify({ sequence: 1, rooms: { ABCD: { life: 40 } } }));
+    fs.writeFileSync(path.join(directory, 'rooms.journal'),
+        JSON.stringify({ sequence: 1, op: 'save', roomCode: 'ABCD', room: { life: 40 } }) + '\n');
+    fs.writeFileSync(path.join(directory, 'rooms.journal.next'),
+        JSON.stringify({ sequence: 2, op: 'patch', roomCode: 'ABCD', ops: [{ op: 'set', path: ['life'], value: 35 }] }) + '\n');
+
+    assert.deepEqual(createFileStore(directory).load(), { ABCD: { life: 35 } });
+    assert.ok(!fs.existsSync(path.join(directory, 'rooms.journal.next')));
+});
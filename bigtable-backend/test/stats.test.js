@@ -0,0 +1,66 @@
+// Tests for game results and statistics (stats.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildGameResult, getProfileStats, getLeaderboard, getHeadToHead } = require('../stats');
+
+// A finished room; eliminated players are given as { id: eliminatedAt }
+function finishedRoom(winnerId, eliminated) {
+    const ids = ['player1', 'player2', 'player3'];
+    return {
+        settings: { format: 'commander' },
+        turnNumber: 9,
+        seatOrder: ids,
+        gameOver: { winnerId: winnerId },
+        players: ids.map((id, index) => ({
+            id: id,
+            profileId: `profile${index + 1}`,
+            name: `Player ${index + 1}`,
+            color: '#FF6B6B',
+            commanders: ['Commander'],
+            eliminated: eliminated.hasOwnProperty(id),
+            eliminationCause: eliminated.hasOwnProperty(id) ? 'life' : null,
+            eliminatedAt: eliminated.hasOwnProperty(id) ? eliminated[id] : null
+        }))
+    };
+}
+
+const profiles = {
+    profile1: { name: 'Ann', color: '#FF6B6B' },
+    profile2: { name: 'Bob', color: '#4ECDC4' },
+    profile3: { name: 'Cat', color: '#45B7D1' }
+};
+
+const won = buildGameResult('game1', 'ABCD', finishedRoom('player1', { player2: 3, player3: 7 }));
+// player2 and player3 went out together, after player1
+const draw = buildGameResult('game2', 'ABCD', finishedRoom(null, { player1: 2, player2: 5, player3: 5 }));
+
+test('placements follow how long each player lasted', () => {
+    assert.deepEqual(won.players.map(p => p.placement), [1, 3, 2]);
+    assert.deepEqual(draw.players.map(p => p.placement), [3, 1, 1]);
+});
+
+test('only the winner gets a win', () => {
+    assert.equal(getProfileStats([won], 'profile1').wins, 1);
+    assert.equal(getProfileStats([won], 'profile3').wins, 0);
+});
+
+test('a draw is nobody\'s win, even at placement 1', () => {
+    const stats = getProfileStats([won, draw], 'profile2');
+    assert.equal(stats.games, 2);
+    assert.equal(stats.wins, 0);
+    assert.equal(stats.averagePlacement, 2);
+    assert.equal(getProfileStats([draw], 'profile3').winRate, 0);
+});
+
+test('the leaderboard ranks by wins', () => {
+    const leaderboard = getLeaderboard([won, draw], profiles);
+    assert.deepEqual(leaderboard.map(row => [row.name, row.wins]), [['Ann', 1], ['Bob', 0], ['Cat', 0]]);
+});
+
+test('head-to-head counts finishing ahead, and draws as neither', () => {
+    const records = getHeadToHead([won, draw], profiles, 'profile2');
+    const cat = records.find(record => record.profileId === 'profile3');
+    const ann = records.find(record => record.profileId === 'profile1');
+    assert.deepEqual([cat.games, cat.wins, cat.losses], [2, 0, 1]);
+    assert.deepEqual([ann.games, ann.wins, ann.losses], [2, 1, 1]);
+});
@@ -0,0 +1,51 @@
+// Game log entries for bigtable (used by the server and the app)
+// Every change in a room is logged as a structured event so a finished game
+// can be reviewed (or exported) line by line. An entry looks like:
+//   time      - ISO 8601 timestamp (UTC), e.g. "2024-05-01T19:42:03.120Z"
+//   actorId   - player who caused it (null for things the server did itself)
+//   action    - message type (UPDATE_LIFE...) or event name (ELIMINATED, TURN_START...)
+//   targetId  - player it happened to, if any
+//   before    - value before the change, if any
+//   after     - value after the change, if any
+//   detail    - anything else needed to read the entry (counter name, commander...)
+//   message   - the same event as a readable sentence
+
+// Column order for exports
+const LOG_FIELDS = ['time', 'actorId', 'action', 'targetId', 'before', 'after', 'detail', 'message'];
+
+// Build a log entry from a readable message and its structured event
+function createLogEntry(message, event = {}) {
+    return {
+        time: new Date().toISOString(),
+        actorId: event.actorId || null,
+        action: event.action || null,
+        targetId: event.targetId || null,
+        before: event.before === undefined ? null : event.before,
+        after: event.after === undefined ? null : event.after,
+        detail: event.detail || null,
+        message: message
+    };
+}
+
+// Format one value for a CSV cell
+// Objects and lists are written as JSON; quotes are doubled per RFC 4180
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Turn a room's log into CSV text with a header row
+function logToCsv(entries) {
+    const lines = [LOG_FIELDS.join(',')];
+    entries.forEach(entry => {
+        lines.push(LOG_FIELDS.map(field => csvCell(entry[field])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    LOG_FIELDS,
+    createLogEntry,
+    logToCsv
+};
@@ -0,0 +1,876 @@
+// Game rules for bigtable, shared by the server and the app
+// Everything that decides what a game action does lives here: life changes,
+// commander damage costing life, counters, eliminations, turns, undo/redo and
+// the wording of the game log. Nothing here knows about sockets or React, so
+// the server (for every room) and the app (for local games and previews) play
+// by exactly the same rules.
+//
+// reduce(state, action, options) -> { state, events }
+//   state    - a game: { settings, hostId, players, seatOrder, activePlayerId,
+//              turnNumber, gameOver, history, gameLog }. Anything else on it
+//              (the server's sockets, tokens...) is carried over untouched
+//   action   - a client message plus the player sending it, e.g.
+//              { type: 'UPDATE_LIFE', actorId: 'player1', playerId: 'player2', delta: -3 }
+//   options  - checkPermissions: false skips the host/own-player checks
+//              (local games, where everyone shares one phone)
+// The state passed in is never changed. A new state comes back when the action
+// changed something, the same object when it didn't. events lists what the
+// caller has to act on, in order:
+//   { type: 'ERROR', code, message, field }  - action rejected, state is unchanged
+//   { type: 'GAME_OVER', winnerId }          - the game just ended
+//   { type: 'PLAYER_REMOVED', playerId }     - a seat is gone for good
+// Actions are expected to have passed their schema (see backend/messageSchema.js).
+// Log entries are stamped with the current time; apart from that reduce is pure.
+
+const { createLogEntry } = require('./gameLog');
+
+// Predefined colors for players (up to 6 players)
+// Each player gets a different color based on join order
+const playerColors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FECA57', '#DDA0DD'];
+
+// Preset settings for each supported game format
+// CREATE_ROOM picks one of these and may override individual values
+const gameFormats = {
+    commander: { startingLife: 40, maxPlayers: 6, commanderDamage: true, commanderDamageLethal: 21 },
+    brawl: { startingLife: 25, maxPlayers: 6, commanderDamage: false, commanderDamageLethal: 21 },
+    standard: { startingLife: 20, maxPlayers: 2, commanderDamage: false, commanderDamageLethal: 21 }
+};
+const DEFAULT_FORMAT = 'commander';
+
+// Room rules that aren't part of a format
+// allowOpponentEdits lets any player change anyone's life and counters (not just the host)
+// hidden keeps the room out of GET /rooms
+// requireReadToken makes the HTTP API ask for the room's readToken
+const defaultRoomRules = { allowOpponentEdits: false, hidden: false, requireReadToken: false };
+
+// Built-in per-player counters
+// step is how much the app's +/- buttons move the counter
+const counterKinds = {
+    poison: { label: 'Poison', step: 1 },
+    energy: { label: 'Energy', step: 1 },
+    experience: { label: 'Experience', step: 1 },
+    commanderTax: { label: 'Commander Tax', step: 2 }
+};
+
+// Poison counters needed to knock a player out
+const POISON_LETHAL = 10;
+
+// Actions that change the game and can be undone
+const UNDOABLE_TYPES = [
+    'UPDATE_LIFE',
+    'SET_LIFE',
+    'UPDATE_COMMANDER_DAMAGE',
+    'UPDATE_COUNTER',
+    'UPDATE_NAME',
+    'SET_COMMANDERS',
+    'RESET_GAME',
+    'NEXT_TURN',
+    'PASS_TURN_TO',
+    'SET_SEAT_ORDER'
+];
+
+// How many actions each game remembers for undo
+const MAX_HISTORY = 100;
+
+// Human-readable text for each elimination cause
+const eliminationReasons = {
+    life: 'life total reached 0',
+    commander: 'lethal commander damage',
+    poison: `${POISON_LETHAL} poison counters`
+};
+
+// Display name for a counter in log messages
+function counterLabel(name) {
+    return counterKinds.hasOwnProperty(name) ? counterKinds[name].label : name;
+}
+
+// Build the settings for a new room from a format name and optional overrides
+// Returns { settings } on success or { error } describing the bad value
+function buildRoomSettings(format, overrides) {
+    const formatName = format || DEFAULT_FORMAT;
+    if (!gameFormats[formatName]) {
+        return { error: `Unknown game format: ${formatName}` };
+    }
+
+    return applySettingsOverrides({ format: formatName, ...gameFormats[formatName], ...defaultRoomRules }, overrides);
+}
+
+// Apply setting changes on top of existing settings
+// Used both when creating a room and when the host edits settings mid-game
+// Returns { settings } (a new object) on success or { error } describing the bad value
+function applySettingsOverrides(currentSettings, overrides) {
+    const settings = { ...currentSettings };
+    if (!overrides) return { settings };
+
+    // Validate each override before accepting it
+    if (overrides.startingLife !== undefined) {
+        if (!Number.isInteger(overrides.startingLife) || overrides.startingLife < 1 || overrides.startingLife > 999) {
+            return { error: 'Starting life must be between 1 and 999' };
+        }
+        settings.startingLife = overrides.startingLife;
+    }
+    if (overrides.maxPlayers !== undefined) {
+        if (!Number.isInteger(overrides.maxPlayers) || overrides.maxPlayers < 1 || overrides.maxPlayers > playerColors.length) {
+            return { error: `Max players must be between 1 and ${playerColors.length}` };
+        }
+        settings.maxPlayers = overrides.maxPlayers;
+    }
+    if (overrides.commanderDamage !== undefined) {
+        if (typeof overrides.commanderDamage !== 'boolean') {
+            return { error: 'Commander damage must be on or off' };
+        }
+        settings.commanderDamage = overrides.commanderDamage;
+    }
+    if (overrides.commanderDamageLethal !== undefined) {
+        if (!Number.isInteger(overrides.commanderDamageLethal) || overrides.commanderDamageLethal < 1 || overrides.commanderDamageLethal > 99) {
+            return { error: 'Lethal commander damage must be between 1 and 99' };
+        }
+        settings.commanderDamageLethal = overrides.commanderDamageLethal;
+    }
+    if (overrides.allowOpponentEdits !== undefined) {
+        if (typeof overrides.allowOpponentEdits !== 'boolean') {
+            return { error: 'Opponent edits must be on or off' };
+        }
+        settings.allowOpponentEdits = overrides.allowOpponentEdits;
+    }
+    if (overrides.hidden !== undefined) {
+        if (typeof overrides.hidden !== 'boolean') {
+            return { error: 'Hidden must be on or off' };
+        }
+        settings.hidden = overrides.hidden;
+    }
+    if (overrides.requireReadToken !== undefined) {
+        if (typeof overrides.requireReadToken !== 'boolean') {
+            return { error: 'Read token must be on or off' };
+        }
+        settings.requireReadToken = overrides.requireReadToken;
+    }
+
+    return { settings };
+}
+
+// A new player's game values; seat is how many players sat down before them
+// The server adds its connection fields on top (see CREATE_ROOM in server.js)
+function createPlayer(id, seat, settings) {
+    return {
+        id: id,
+        name: `Player ${seat + 1}`,     // Default name, by join order
+        life: settings.startingLife,    // Starting life for the chosen format
+        color: playerColors[seat],      // First seat is red, and so on
+        commanders: ['Commander'],      // One name, or two for partners/backgrounds
+        commanderDamage: {},            // { sourcePlayerId: { commanderIndex: damage } }
+        counters: {},                   // Poison, energy, custom... (only non-zero values)
+        eliminated: false,              // Set by updateEliminations
+        eliminationCause: null,         // 'life', 'commander' or 'poison'
+        eliminatedAt: null              // Log length when they went out (ranks finishers, see backend/stats.js)
+    };
+}
+
+// Life after a signed change - it never goes below 0
+function lifeAfterChange(life, delta) {
+    return Math.max(0, life + delta);
+}
+
+// A player's counter value (own properties only, so names like "constructor" start at 0)
+function getCounter(player, counter) {
+    return Object.prototype.hasOwnProperty.call(player.counters, counter) ? player.counters[counter] : 0;
+}
+
+// Damage a player has taken from one specific commander
+function getCommanderDamage(player, sourceId, commanderIndex) {
+    const fromSource = player.commanderDamage[sourceId];
+    return (fromSource && fromSource[commanderIndex]) || 0;
+}
+
+// Check whether a player is the game's host
+function isHost(game, playerId) {
+    return game.hostId === playerId;
+}
+
+// Check whether a player may change another player's life, counters, etc.
+// Everyone can edit themselves; the host can edit anyone; others only if the room allows it
+function canEditPlayer(game, actorId, targetId) {
+    return actorId === targetId || isHost(game, actorId) || game.settings.allowOpponentEdits;
+}
+
+function findPlayer(game, playerId) {
+    return game.players.find(p => p.id === playerId);
+}
+
+// Helper function to add an entry to the game log
+// event is the structured side of the entry (see gameLog.js)
+function addToLog(game, message, event) {
+    game.gameLog.push(createLogEntry(message, event));
+}
+
+// Copy a player's commander damage (one level deeper than a spread)
+function copyCommanderDamage(commanderDamage) {
+    const copy = {};
+    Object.entries(commanderDamage).forEach(([sourceId, fromSource]) => {
+        copy[sourceId] = { ...fromSource };
+    });
+    return copy;
+}
+
+// Copy everything an action might change, so the state passed in stays as it was
+// Extra fields (the server's sockets and timers) are kept by reference
+function cloneState(state) {
+    return {
+        ...state,
+        settings: { ...state.settings },
+        players: state.players.map(p => ({
+            ...p,
+            commanders: p.commanders.slice(),
+            commanderDamage: copyCommanderDamage(p.commanderDamage),
+            counters: { ...p.counters }
+        })),
+        seatOrder: state.seatOrder.slice(),
+        history: { undo: state.history.undo.slice(), redo: state.history.redo.slice() },
+        gameLog: state.gameLog.slice()
+    };
+}
+
+// Helper function to find who plays after a given player
+// Skips eliminated players; falls back to the same player if nobody else is left
+function nextSeatInPlay(game, fromPlayerId) {
+    const start = game.seatOrder.indexOf(fromPlayerId);
+    for (let i = 1; i <= game.seatOrder.length; i++) {
+        const candidate = findPlayer(game, game.seatOrder[(start + i) % game.seatOrder.length]);
+        if (candidate && !candidate.eliminated) return candidate.id;
+    }
+    return fromPlayerId;
+}
+
+// Helper function to work out why a player has lost (null if they haven't)
+function getEliminationCause(player, settings) {
+    if (player.life <= 0) return 'life';
+    // Lethal damage is counted separately for each commander, even partners
+    if (settings.commanderDamage &&
+        Object.values(player.commanderDamage).some(fromSource =>
+            Object.values(fromSource).some(damage => damage >= settings.commanderDamageLethal))) {
+        return 'commander';
+    }
+    if ((player.counters.poison || 0) >= POISON_LETHAL) return 'poison';
+    return null;
+}
+
+// Helper function to re-check loss conditions after any change
+// Marks (or un-marks, if a mistake was corrected) eliminated players and
+// ends the game once a single player is left standing
+function updateEliminations(game, events) {
+    // Everyone knocked out by the same action went out together
+    const eliminatedAt = game.gameLog.length;
+
+    game.players.forEach(player => {
+        const cause = getEliminationCause(player, game.settings);
+        if (cause && !player.eliminated) {
+            player.eliminated = true;
+            player.eliminationCause = cause;
+            player.eliminatedAt = eliminatedAt;
+            addToLog(game, `${player.name} was eliminated (${eliminationReasons[cause]})`, {
+                action: 'ELIMINATED',
+                targetId: player.id,
+                after: cause
+            });
+        } else if (!cause && player.eliminated) {
+            const oldCause = player.eliminationCause;
+            player.eliminated = false;
+            player.eliminationCause = null;
+            player.eliminatedAt = null;
+            addToLog(game, `${player.name} is back in the game`, {
+                action: 'REVIVED',
+                targetId: player.id,
+                before: oldCause
+            });
+        }
+    });
+
+    // A solo game never ends on its own
+    const remaining = game.players.filter(p => !p.eliminated);
+    const isOver = game.players.length > 1 && remaining.length <= 1;
+
+    if (isOver && !game.gameOver) {
+        // Last player standing wins; nobody left means a draw
+        const winner = remaining[0] || null;
+        game.gameOver = { winnerId: winner ? winner.id : null };
+        addToLog(game, winner ? `${winner.name} wins the game!` : 'The game is a draw', {
+            action: 'GAME_OVER',
+            targetId: game.gameOver.winnerId
+        });
+        events.push({ type: 'GAME_OVER', winnerId: game.gameOver.winnerId });
+    } else if (!isOver && game.gameOver) {
+        // An elimination was undone, so play carries on
+        game.gameOver = null;
+        addToLog(game, 'Game over was undone, play continues', {
+            action: 'GAME_RESUMED'
+        });
+    }
+}
+
+// Helper function to copy everything an undo needs to put back
+// Players who join or leave aren't part of it - only their game values
+function captureHistoryState(game) {
+    const players = {};
+    game.players.forEach(p => {
+        players[p.id] = {
+            name: p.name,
+            life: p.life,
+            commanders: p.commanders.slice(),
+            commanderDamage: copyCommanderDamage(p.commanderDamage),
+            counters: { ...p.counters },
+            eliminated: p.eliminated,
+            eliminationCause: p.eliminationCause,
+            eliminatedAt: p.eliminatedAt
+        };
+    });
+
+    return {
+        players: players,
+        seatOrder: game.seatOrder.slice(),
+        activePlayerId: game.activePlayerId,
+        turnNumber: game.turnNumber,
+        gameOver: game.gameOver,
+        // Used to find the log lines the action wrote
+        logLength: game.gameLog.length
+    };
+}
+
+// Helper function to put a captured state back onto the game
+function restoreHistoryState(game, state) {
+    game.players.forEach(p => {
+        const saved = state.players[p.id];
+        if (!saved) return;  // Joined after the snapshot was taken
+        p.name = saved.name;
+        p.life = saved.life;
+        p.commanders = saved.commanders.slice();
+        p.commanderDamage = copyCommanderDamage(saved.commanderDamage);
+        p.counters = { ...saved.counters };
+        p.eliminated = saved.eliminated;
+        p.eliminationCause = saved.eliminationCause;
+        p.eliminatedAt = saved.eliminatedAt;
+    });
+
+    // Skip anyone who has since left the game
+    game.seatOrder = state.seatOrder.filter(id => findPlayer(game, id))
+        .concat(game.seatOrder.filter(id => !state.seatOrder.includes(id)));
+    game.activePlayerId = game.seatOrder.includes(state.activePlayerId) ? state.activePlayerId : game.seatOrder[0];
+    game.turnNumber = state.turnNumber;
+    game.gameOver = state.gameOver;
+}
+
+// Helper function to push a finished action onto the undo stack
+// Does nothing if the action didn't actually change anything
+function recordAction(game, actorId, type, stateBefore) {
+    const stateAfter = captureHistoryState(game);
+
+    // Players whose values changed are the action's targets
+    const targetIds = Object.keys(stateAfter.players).filter(id =>
+        JSON.stringify(stateAfter.players[id]) !== JSON.stringify(stateBefore.players[id]));
+    // A turn that comes back round to the same player still moves the turn number
+    const turnChanged = stateAfter.activePlayerId !== stateBefore.activePlayerId ||
+        stateAfter.turnNumber !== stateBefore.turnNumber ||
+        stateAfter.seatOrder.join() !== stateBefore.seatOrder.join();
+    if (targetIds.length === 0 && !turnChanged) return;
+
+    // Describe the action with the log lines it wrote
+    const description = game.gameLog.slice(stateBefore.logLength).map(entry => entry.message).join('; ') || type;
+
+    game.history.undo.push({
+        actorId: actorId,
+        type: type,
+        targetIds: targetIds,
+        description: description,
+        before: stateBefore,
+        after: stateAfter
+    });
+    if (game.history.undo.length > MAX_HISTORY) {
+        game.history.undo.shift();
+    }
+
+    // A new action makes the old redo path meaningless
+    game.history.redo = [];
+}
+
+// Short summary of a history entry for clients (null if there isn't one)
+function summarizeAction(action) {
+    if (!action) return null;
+    return {
+        actorId: action.actorId,
+        targetIds: action.targetIds,
+        description: action.description
+    };
+}
+
+// Helper function to start the next turn for a player
+// Bumps the turn counter and logs it; actorId is whoever ended the previous turn
+function startTurn(game, nextPlayerId, actorId) {
+    const nextPlayer = findPlayer(game, nextPlayerId);
+    if (!nextPlayer) return;
+
+    const previousPlayerId = game.activePlayerId;
+    game.activePlayerId = nextPlayerId;
+    game.turnNumber++;
+
+    addToLog(game, `Turn ${game.turnNumber}: ${nextPlayer.name}`, {
+        actorId: actorId,
+        action: 'TURN_START',
+        targetId: nextPlayerId,
+        before: previousPlayerId,
+        after: nextPlayerId,
+        detail: { turnNumber: game.turnNumber }
+    });
+}
+
+// Helper function to take a player out of the game for good
+// reason finishes the log line ("left the game", "was removed by the host")
+function removeSeat(game, playerId, reason, actorId, events) {
+    const removedPlayer = findPlayer(game, playerId);
+
+    // If it was their turn, the next player still in takes over (same turn number)
+    if (game.activePlayerId === playerId) {
+        const seat = game.seatOrder.indexOf(playerId);
+        const inPlay = nextSeatInPlay(game, playerId);
+        game.activePlayerId = inPlay !== playerId ? inPlay : game.seatOrder[(seat + 1) % game.seatOrder.length];
+    }
+
+    game.players = game.players.filter(p => p.id !== playerId);
+    game.seatOrder = game.seatOrder.filter(id => id !== playerId);
+
+    // Host leaving hands the role to the next seat
+    if (game.hostId === playerId && game.seatOrder.length > 0) {
+        game.hostId = game.seatOrder[0];
+        const newHost = findPlayer(game, game.hostId);
+        addToLog(game, `${newHost.name} is now the host`, {
+            action: 'HOST_CHANGED',
+            targetId: newHost.id,
+            before: playerId,
+            after: newHost.id
+        });
+    }
+
+    addToLog(game, `${removedPlayer.name} ${reason}`, {
+        actorId: actorId,
+        action: 'PLAYER_REMOVED',
+        targetId: removedPlayer.id
+    });
+    events.push({ type: 'PLAYER_REMOVED', playerId: playerId });
+
+    // Whoever is left may have just won
+    updateEliminations(game, events);
+}
+
+// Apply one action to a game (see the top of this file)
+function reduce(state, action, options = {}) {
+    const checkPermissions = options.checkPermissions !== false;
+    const actorId = action.actorId || null;
+
+    // Results that leave the game as it was
+    const unchanged = { state: state, events: [] };
+    const reject = (code, message, field = null) => ({
+        state: state,
+        events: [{ type: 'ERROR', code: code, message: message, field: field }]
+    });
+    const allowed = (permitted) => !checkPermissions || permitted;
+
+    const next = cloneState(state);
+    const events = [];
+
+    // Snapshot before changes so they can be undone
+    const stateBefore = UNDOABLE_TYPES.includes(action.type) ? captureHistoryState(next) : null;
+
+    switch (action.type) {
+        case 'UPDATE_LIFE': {
+            // Only your own life unless you're the host or the room allows it
+            if (!allowed(canEditPlayer(state, actorId, action.playerId))) {
+                return reject('NOT_AUTHORIZED', "You can't change another player's life");
+            }
+
+            const player = findPlayer(next, action.playerId);
+            if (!player) return unchanged;
+
+            // Apply the change to the current total, not the sender's copy,
+            // so two people tapping at once both count
+            const oldLife = player.life;
+            const newLife = lifeAfterChange(oldLife, action.delta);
+            if (newLife === oldLife) return unchanged;
+            player.life = newLife;
+
+            const change = newLife - oldLife;
+            const changeStr = change > 0 ? `+${change}` : `${change}`;
+            addToLog(next, `${player.name}: ${oldLife} → ${newLife} (${changeStr})`, {
+                actorId: actorId,
+                action: 'UPDATE_LIFE',
+                targetId: player.id,
+                before: oldLife,
+                after: newLife,
+                detail: { delta: change }
+            });
+            updateEliminations(next, events);
+            break;
+        }
+
+        case 'SET_LIFE': {
+            // Set a life total outright (e.g. fixing a miscount); same rules as UPDATE_LIFE
+            if (!allowed(canEditPlayer(state, actorId, action.playerId))) {
+                return reject('NOT_AUTHORIZED', "You can't change another player's life");
+            }
+
+            const player = findPlayer(next, action.playerId);
+            if (!player || player.life === action.life) return unchanged;
+
+            const previousLife = player.life;
+            player.life = action.life;
+            addToLog(next, `${player.name}'s life set to ${action.life} (was ${previousLife})`, {
+                actorId: actorId,
+                action: 'SET_LIFE',
+                targetId: player.id,
+                before: previousLife,
+                after: action.life
+            });
+            updateEliminations(next, events);
+            break;
+        }
+
+        case 'UPDATE_COMMANDER_DAMAGE': {
+            // Players record damage from their own commander or damage they took
+            if (!allowed(canEditPlayer(state, actorId, action.sourcePlayerId) ||
+                canEditPlayer(state, actorId, action.targetPlayerId))) {
+                return reject('NOT_AUTHORIZED', 'You can only track damage from or to your own commander');
+            }
+
+            // Some formats don't use commander damage at all
+            const target = findPlayer(next, action.targetPlayerId);
+            const source = findPlayer(next, action.sourcePlayerId);
+            if (!next.settings.commanderDamage || !target || !source) return unchanged;
+
+            // Which of the source's commanders dealt it (partners have two)
+            const commanderIndex = action.commander || 0;
+            if (commanderIndex >= source.commanders.length) {
+                return reject('INVALID_FIELD', `${source.name} doesn't have that commander`, 'commander');
+            }
+            const commanderName = source.commanders[commanderIndex];
+
+            const oldDamage = getCommanderDamage(target, source.id, commanderIndex);
+            const newDamage = action.damage;
+            if (newDamage === oldDamage) return unchanged;
+            const damageDifference = newDamage - oldDamage;
+
+            // Damage is tracked per commander; the difference comes off (or back onto) life
+            target.commanderDamage[source.id] = target.commanderDamage[source.id] || {};
+            target.commanderDamage[source.id][commanderIndex] = newDamage;
+            const oldLife = target.life;
+            target.life = lifeAfterChange(oldLife, -damageDifference);
+
+            // before/after hold both the damage and the life it cost
+            const damageEvent = {
+                actorId: actorId,
+                action: 'UPDATE_COMMANDER_DAMAGE',
+                targetId: target.id,
+                before: { damage: oldDamage, life: oldLife },
+                after: { damage: newDamage, life: target.life },
+                detail: { sourceId: source.id, commander: commanderIndex, commanderName: commanderName }
+            };
+            if (damageDifference > 0) {
+                addToLog(next, `${source.name} (${commanderName}) dealt ${damageDifference} commander damage to ${target.name} (total: ${newDamage}) - Life: ${oldLife} → ${target.life}`, damageEvent);
+            } else {
+                addToLog(next, `${source.name} (${commanderName}) removed ${-damageDifference} commander damage from ${target.name} (total: ${newDamage}) - Life: ${oldLife} → ${target.life}`, damageEvent);
+            }
+            updateEliminations(next, events);
+            break;
+        }
+
+        case 'UPDATE_COUNTER': {
+            // Same rules as life changes
+            if (!allowed(canEditPlayer(state, actorId, action.playerId))) {
+                return reject('NOT_AUTHORIZED', "You can't change another player's counters");
+            }
+
+            const player = findPlayer(next, action.playerId);
+            if (!player) return unchanged;
+
+            // The change applies to the current value, so taps from two phones both count
+            // Counters stay between 0 and 999
+            const oldValue = getCounter(player, action.counter);
+            const newValue = Math.min(999, Math.max(0, oldValue + action.delta));
+            if (newValue === oldValue) return unchanged;
+
+            // Keep only non-zero counters on the player
+            if (newValue === 0) {
+                delete player.counters[action.counter];
+            } else {
+                player.counters[action.counter] = newValue;
+            }
+
+            const change = newValue - oldValue;
+            const changeStr = change > 0 ? `+${change}` : `${change}`;
+            addToLog(next, `${player.name} ${counterLabel(action.counter)}: ${oldValue} → ${newValue} (${changeStr})`, {
+                actorId: actorId,
+                action: 'UPDATE_COUNTER',
+                targetId: player.id,
+                before: oldValue,
+                after: newValue,
+                detail: { counter: action.counter }
+            });
+            updateEliminations(next, events);
+            break;
+        }
+
+        case 'UPDATE_NAME': {
+            // Names are personal - only the host can rename someone else
+            if (!allowed(action.playerId === actorId || isHost(state, actorId))) {
+                return reject('NOT_AUTHORIZED', "You can't rename another player");
+            }
+
+            const player = findPlayer(next, action.playerId);
+            if (!player) return unchanged;
+
+            // The schema already rejected blank names
+            const oldName = player.name;
+            player.name = action.name.trim();
+            addToLog(next, `${oldName} changed name to ${player.name}`, {
+                actorId: actorId,
+                action: 'UPDATE_NAME',
+                targetId: player.id,
+                before: oldName,
+                after: player.name
+            });
+            break;
+        }
+
+        case 'SET_COMMANDERS': {
+            // Like names, commanders belong to their player (or the host)
+            if (!allowed(action.playerId === actorId || isHost(state, actorId))) {
+                return reject('NOT_AUTHORIZED', "You can't change another player's commanders");
+            }
+
+            const player = findPlayer(next, action.playerId);
+            if (!player) return unchanged;
+
+            // Damage already dealt stays keyed by commander position
+            const oldCommanders = player.commanders;
+            player.commanders = action.commanders.map(name => name.trim());
+
+            // Damage from a commander that's no longer listed could never be corrected,
+            // so it stops counting toward lethal (the life it cost stays off)
+            next.players.forEach(target => {
+                const fromPlayer = target.commanderDamage[player.id];
+                if (!fromPlayer) return;
+                Object.keys(fromPlayer).forEach(index => {
+                    if (Number(index) >= player.commanders.length) delete fromPlayer[index];
+                });
+                if (Object.keys(fromPlayer).length === 0) delete target.commanderDamage[player.id];
+            });
+
+            addToLog(next, `${player.name} is playing ${player.commanders.join(' & ')}`, {
+                actorId: actorId,
+                action: 'SET_COMMANDERS',
+                targetId: player.id,
+                before: oldCommanders,
+                after: player.commanders
+            });
+            updateEliminations(next, events);
+            break;
+        }
+
+        case 'RESET_GAME':
+            if (!allowed(isHost(state, actorId))) {
+                return reject('NOT_AUTHORIZED', 'Only the host can reset the game');
+            }
+
+            // Everyone back to the format's starting state
+            next.players.forEach(player => {
+                player.life = next.settings.startingLife;
+                player.commanderDamage = {};
+                player.counters = {};
+                player.eliminated = false;
+                player.eliminationCause = null;
+                player.eliminatedAt = null;
+            });
+
+            // Start again from turn 1 with the first seat
+            next.turnNumber = 1;
+            next.activePlayerId = next.seatOrder[0];
+            next.gameOver = null;
+
+            // The log keeps going so earlier games can still be reviewed
+            addToLog(next, 'Game reset', {
+                actorId: actorId,
+                action: 'RESET_GAME'
+            });
+            break;
+
+        case 'NEXT_TURN':
+            // Only the active player (or host) ends the turn
+            if (!allowed(state.activePlayerId === actorId || isHost(state, actorId))) {
+                return reject('NOT_AUTHORIZED', "It isn't your turn");
+            }
+
+            // Hand the turn to the next player still in the game
+            startTurn(next, nextSeatInPlay(next, next.activePlayerId), actorId);
+            break;
+
+        case 'PASS_TURN_TO':
+            if (!allowed(state.activePlayerId === actorId || isHost(state, actorId))) {
+                return reject('NOT_AUTHORIZED', "It isn't your turn");
+            }
+
+            // Only seated players can take a turn
+            if (!next.seatOrder.includes(action.playerId)) return unchanged;
+            startTurn(next, action.playerId, actorId);
+            break;
+
+        case 'SET_SEAT_ORDER': {
+            if (!allowed(isHost(state, actorId))) {
+                return reject('NOT_AUTHORIZED', 'Only the host can change the seating order');
+            }
+
+            // New order must contain every player exactly once
+            const newOrder = action.seatOrder;
+            const validOrder = Array.isArray(newOrder) &&
+                newOrder.length === next.players.length &&
+                new Set(newOrder).size === newOrder.length &&
+                next.players.every(p => newOrder.includes(p.id));
+            if (!validOrder) {
+                return reject('INVALID_SEAT_ORDER', 'Seat order must list every player once');
+            }
+
+            const oldOrder = next.seatOrder;
+            next.seatOrder = newOrder.slice();
+
+            // Log the new order by name
+            const seatNames = next.seatOrder.map(id => findPlayer(next, id).name);
+            addToLog(next, `Seating order: ${seatNames.join(', ')}`, {
+                actorId: actorId,
+                action: 'SET_SEAT_ORDER',
+                before: oldOrder,
+                after: next.seatOrder
+            });
+            break;
+        }
+
+        case 'KICK_PLAYER':
+            if (!allowed(isHost(state, actorId))) {
+                return reject('NOT_AUTHORIZED', 'Only the host can remove players');
+            }
+
+            // The host can't kick themselves, and the last player always stays
+            if (!findPlayer(next, action.playerId) || next.players.length === 1 ||
+                (checkPermissions && action.playerId === actorId)) {
+                return unchanged;
+            }
+            removeSeat(next, action.playerId, 'was removed by the host', actorId, events);
+            break;
+
+        case 'REMOVE_PLAYER':
+            // Not a client message - the server sends it when a held seat runs out of time
+            if (!findPlayer(next, action.playerId)) return unchanged;
+            removeSeat(next, action.playerId, action.reason || 'left the game', actorId, events);
+            break;
+
+        case 'UPDATE_SETTINGS': {
+            if (!allowed(isHost(state, actorId))) {
+                return reject('NOT_AUTHORIZED', 'Only the host can change settings');
+            }
+
+            // The format itself can't change mid-game, only its values
+            const changes = { ...action.settings };
+            delete changes.format;
+            const { settings, error } = applySettingsOverrides(next.settings, changes);
+            if (error) return reject('INVALID_SETTINGS', error);
+            if (settings.maxPlayers < next.players.length) {
+                return reject('INVALID_SETTINGS', 'Max players is lower than the number of players seated');
+            }
+
+            const oldSettings = next.settings;
+            next.settings = settings;
+
+            // Log which settings changed, with their old and new values
+            const changedNames = Object.keys(changes);
+            const pickSettings = (values) => Object.fromEntries(changedNames.map(name => [name, values[name]]));
+            addToLog(next, `Host changed settings: ${changedNames.join(', ')}`, {
+                actorId: actorId,
+                action: 'UPDATE_SETTINGS',
+                before: pickSettings(oldSettings),
+                after: pickSettings(settings)
+            });
+
+            // Turning commander damage on/off can change who is eliminated
+            updateEliminations(next, events);
+            break;
+        }
+
+        case 'UNDO':
+        case 'REDO': {
+            const isUndo = action.type === 'UNDO';
+            const from = next.history[isUndo ? 'undo' : 'redo'];
+            const to = next.history[isUndo ? 'redo' : 'undo'];
+
+            const entry = from[from.length - 1];
+            if (!entry) {
+                return reject('NOTHING_TO_UNDO', isUndo ? 'Nothing to undo' : 'Nothing to redo');
+            }
+
+            // A player may only undo actions they made or that changed their own player
+            // (the host may undo anything)
+            if (!allowed(entry.actorId === actorId || entry.targetIds.includes(actorId) || isHost(state, actorId))) {
+                return reject('NOT_AUTHORIZED', isUndo
+                    ? 'You can only undo your own actions or changes to your player'
+                    : 'You can only redo your own actions or changes to your player');
+            }
+
+            restoreHistoryState(next, isUndo ? entry.before : entry.after);
+            from.pop();
+            to.push(entry);
+
+            // Log what was reverted
+            const actor = findPlayer(next, actorId);
+            addToLog(next, `${actor ? actor.name : actorId} ${isUndo ? 'undid' : 'redid'}: ${entry.description}`, {
+                actorId: actorId,
+                action: action.type,
+                detail: { type: entry.type, actorId: entry.actorId, targetIds: entry.targetIds }
+            });
+
+            // Tell everyone if this brought the game back to its end
+            if (!state.gameOver && next.gameOver) {
+                events.push({ type: 'GAME_OVER', winnerId: next.gameOver.winnerId });
+            }
+            return { state: next, events: events };
+        }
+
+        default:
+            // Not a game action (joining, syncing...) - nothing to do here
+            return unchanged;
+    }
+
+    if (stateBefore) {
+        recordAction(next, actorId, action.type, stateBefore);
+    }
+    return { state: next, events: events };
+}
+
+// Re-check loss conditions without an action, e.g. for a game that came from elsewhere
+// Returns { state, events } like reduce
+function checkEliminations(state) {
+    const next = cloneState(state);
+    const events = [];
+    updateEliminations(next, events);
+    return { state: next, events: events };
+}
+
+module.exports = {
+    playerColors,
+    gameFormats,
+    DEFAULT_FORMAT,
+    defaultRoomRules,
+    counterKinds,
+    POISON_LETHAL,
+    buildRoomSettings,
+    applySettingsOverrides,
+    createPlayer,
+    lifeAfterChange,
+    getCounter,
+    getCommanderDamage,
+    summarizeAction,
+    checkEliminations,
+    reduce
+};